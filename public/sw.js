@@ -0,0 +1,169 @@
+// public/sw.js
+// Service worker: offline app shell + timed system notifications for the focus timer and reminders.
+// Bump CACHE_VERSION when the shell list changes. Hashed /assets/* files never change:
+// the ones the built index.html references are precached on install (so the very
+// first visit already works offline), later ones are cached on first use.
+
+const CACHE_VERSION = "v1";
+const SHELL_CACHE = `sm-game-shell-${CACHE_VERSION}`;
+const ASSET_CACHE = `sm-game-assets-${CACHE_VERSION}`;
+const SHELL = [
+  "/",
+  "/index.html",
+  "/manifest.webmanifest",
+  "/icons/icon.svg",
+  "/icons/icon-192.png",
+  "/icons/icon-512.png",
+];
+
+/** Bundle URLs in index.html: the entry script, stylesheets and modulepreload links. */
+const assetUrls = (html) => [...new Set([...html.matchAll(/(?:src|href)="(\/assets\/[^"]+)"/g)].map((m) => m[1]))];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil((async () => {
+    const shell = await caches.open(SHELL_CACHE);
+    await shell.addAll(SHELL);
+    const html = await (await shell.match("/index.html")).text();
+    await (await caches.open(ASSET_CACHE)).addAll(assetUrls(html));
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil((async () => {
+    const keep = new Set([SHELL_CACHE, ASSET_CACHE, ALARM_CACHE]);
+    for (const key of await caches.keys()) if (!keep.has(key)) await caches.delete(key);
+    await self.clients.claim();
+    await armAlarms();
+  })());
+});
+
+self.addEventListener("fetch", (event) => {
+  const req = event.request;
+  if (req.method !== "GET") return;
+  const url = new URL(req.url);
+  if (url.origin !== self.location.origin) return; // Apps Script calls go straight to the network
+
+  // SPA navigations: network first so deploys show up, cached shell when offline
+  if (req.mode === "navigate") {
+    event.respondWith((async () => {
+      try {
+        const res = await fetch(req);
+        // Never let an error page replace the offline shell
+        if (res.ok) (await caches.open(SHELL_CACHE)).put("/index.html", res.clone());
+        return res;
+      } catch {
+        return (await caches.match("/index.html")) || Response.error();
+      }
+    })());
+    return;
+  }
+
+  // Hashed build assets: cache first
+  if (url.pathname.startsWith("/assets/")) {
+    event.respondWith((async () => {
+      const cached = await caches.match(req);
+      if (cached) return cached;
+      const res = await fetch(req);
+      if (res.ok) (await caches.open(ASSET_CACHE)).put(req, res.clone());
+      return res;
+    })());
+    return;
+  }
+
+  // Everything else (icons, manifest): cache, falling back to network
+  event.respondWith(caches.match(req).then((cached) => cached || fetch(req)));
+});
+
+/* -------------------- Notifications -------------------- */
+// Timed notifications (focus timer, reminders). Pending ones are kept in a cache so they
+// survive the browser stopping this worker. A worker only lives a few minutes per event,
+// so an alarm gets its timer once it is less than ARM_WINDOW_MS away; the page pings
+// ("wake-notifications") every minute while it is open, even as a background tab, which
+// keeps that window moving. With every tab of the app closed nothing wakes the worker
+// and alarms wait until the app is opened again; the page then shows anything overdue.
+const ALARM_CACHE = "sm-game-alarms";
+const ALARM_URL = "/__alarms"; // { [tag]: { at, title, options } }
+const ARM_WINDOW_MS = 4 * 60 * 1000;
+const armed = new Map(); // tag -> { id, at, resolve }
+
+async function readAlarms() {
+  const res = await (await caches.open(ALARM_CACHE)).match(ALARM_URL);
+  return res ? res.json() : {};
+}
+async function writeAlarms(alarms) {
+  await (await caches.open(ALARM_CACHE)).put(ALARM_URL, new Response(JSON.stringify(alarms)));
+}
+
+function disarm(tag) {
+  const t = armed.get(tag);
+  if (!t) return;
+  clearTimeout(t.id);
+  t.resolve();
+  armed.delete(tag);
+}
+
+/** Start timers for alarms due within the window; resolves when the last of them has fired. */
+async function armAlarms() {
+  const alarms = await readAlarms();
+  const waits = [];
+  for (const [tag, alarm] of Object.entries(alarms)) {
+    const wait = alarm.at - Date.now();
+    if (wait > ARM_WINDOW_MS) continue;
+    if (armed.get(tag)?.at === alarm.at) continue;
+    disarm(tag);
+    waits.push(new Promise((resolve) => {
+      const id = setTimeout(async () => {
+        armed.delete(tag);
+        try {
+          const current = await readAlarms();
+          if (current[tag]?.at !== alarm.at) return; // cancelled or rescheduled meanwhile
+          delete current[tag];
+          await writeAlarms(current);
+          await self.registration.showNotification(alarm.title, { ...(alarm.options || {}), tag });
+        } finally {
+          resolve();
+        }
+      }, Math.max(0, wait));
+      armed.set(tag, { id, at: alarm.at, resolve });
+    }));
+  }
+  await Promise.all(waits);
+}
+
+self.addEventListener("message", (event) => {
+  const msg = event.data || {};
+  if (msg.type === "schedule-notification") {
+    event.waitUntil((async () => {
+      const alarms = await readAlarms();
+      alarms[msg.tag] = { at: msg.at, title: msg.title, options: msg.options || {} };
+      await writeAlarms(alarms);
+      await armAlarms();
+    })());
+  } else if (msg.type === "cancel-notification") {
+    disarm(msg.tag);
+    event.waitUntil((async () => {
+      const alarms = await readAlarms();
+      delete alarms[msg.tag];
+      await writeAlarms(alarms);
+      for (const n of await self.registration.getNotifications({ tag: msg.tag })) n.close();
+    })());
+  } else if (msg.type === "wake-notifications") {
+    event.waitUntil(armAlarms());
+  }
+});
+
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  const data = event.notification.data || {};
+  event.waitUntil((async () => {
+    const all = await self.clients.matchAll({ type: "window", includeUncontrolled: true });
+    const client = all[0];
+    if (client) {
+      await client.focus();
+      client.postMessage({ type: "notification-click", tag: event.notification.tag, data });
+    } else {
+      await self.clients.openWindow(data.url || "/");
+    }
+  })());
+});
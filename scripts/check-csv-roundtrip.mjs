@@ -0,0 +1,55 @@
+// scripts/check-csv-roundtrip.mjs
+// Round-trip check for the CSV export and import: exports a profile's history, then
+//   1. plans a re-import into the same profile (every row must be a duplicate), and
+//   2. imports it into an empty store (every entry must come back at the same instant).
+//
+//   npm run check:csv
+//
+// Runs on the in-memory storage adapter; exits non-zero on the first mismatch.
+
+import { initStorage, createMemoryAdapter, makeFreshState, savePersonState, saveProfiles, loadPersonState } from "../src/storage.js";
+import { recomputeProgress } from "../src/game.js";
+import { entryRows, toCSV } from "../src/exports.js";
+import { planCsvImport, applyCsvImport } from "../src/csvImport.js";
+
+const fail = (msg) => { console.error(`✗ ${msg}`); process.exit(1); };
+const PERSON = "Riley";
+
+const at = (iso) => new Date(iso).getTime();
+const history = [
+  { id: "a", date: "2025-03-03", questId: "q-prospecting-call", title: "Prospecting call", category: "Sales", points: 10, emoji: "📞", timestamp: at("2025-03-03T08:05:09.250") },
+  { id: "b", date: "2025-03-03", questId: null, title: "Ad-hoc, \"quoted\" task", category: "Ops", points: 5, emoji: "🎯", timestamp: at("2025-03-03T23:59:59.999"), notes: "line one\nline two", tags: ["acme", "follow-up"] },
+  { id: "c", date: "2025-03-04", questId: "q-close-deal", title: "Close a deal", category: "Sales", points: 80, emoji: "🤝", timestamp: at("2025-03-04T00:00:01"), deal: { value: 12000, client: "Acme" } },
+];
+
+await initStorage(createMemoryAdapter());
+saveProfiles([PERSON]);
+savePersonState(PERSON, recomputeProgress({ ...makeFreshState(PERSON), history }));
+
+const csv = toCSV(entryRows(PERSON, "", loadPersonState(PERSON).history));
+
+// 1. Re-importing your own export changes nothing
+const again = planCsvImport(csv);
+if (again.total !== 0 || again.duplicates.length !== history.length) {
+  fail(`re-import planned ${again.total} new entries and ${again.duplicates.length} duplicates (expected 0 and ${history.length})`);
+}
+
+// 2. Importing into an empty store restores the same rows
+await initStorage(createMemoryAdapter());
+const plan = planCsvImport(csv);
+if (plan.total !== history.length) fail(`fresh import planned ${plan.total} entries (expected ${history.length})`);
+applyCsvImport(plan);
+const restored = loadPersonState(PERSON).history;
+for (const h of history) {
+  const r = restored.find((x) => x.timestamp === Math.floor(h.timestamp / 1000) * 1000);
+  if (!r) fail(`"${h.title}" not restored at ${new Date(h.timestamp).toString()}`);
+  for (const k of ["date", "title", "points", "questId", "notes"]) {
+    if ((r[k] ?? null) !== (h[k] ?? null)) fail(`"${h.title}": ${k} is ${JSON.stringify(r[k])}, expected ${JSON.stringify(h[k])}`);
+  }
+  if ((r.tags || []).join() !== (h.tags || []).join()) fail(`"${h.title}": tags differ`);
+  if ((r.deal?.value ?? null) !== (h.deal?.value ?? null) || (r.deal?.client ?? null) !== (h.deal?.client ?? null)) fail(`"${h.title}": deal differs`);
+}
+// And that import is itself recognized on the next run
+if (planCsvImport(csv).total !== 0) fail("second import of the same file was not recognized as duplicates");
+
+console.log(`✓ CSV round trip: ${history.length} rows exported, re-imported as duplicates and restored intact`);
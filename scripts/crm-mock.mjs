@@ -0,0 +1,57 @@
+// scripts/crm-mock.mjs
+// Mock CRM: sends HubSpot-, Pipedrive- and generic-style activity webhooks to the
+// local receiver, so the CRM integration can be tried without a real CRM account.
+//
+//   node scripts/crm-mock.mjs [receiverUrl] [--owner <id>] [--repeat]
+//   node scripts/crm-mock.mjs --file > crm-events.json   (sample file for JSON import)
+//
+// Object ids are fixed, so a second run (or --repeat) re-sends the same events: the
+// app should recognize them and not award points twice.
+
+const args = process.argv.slice(2);
+const flag = (name) => args.includes(name);
+const option = (name, fallback) => (args.includes(name) ? args[args.indexOf(name) + 1] : fallback);
+const receiverUrl = args.find((a) => /^https?:\/\//.test(a)) || "http://localhost:8787";
+const owner = option("--owner", "rep-1");
+const now = Date.now();
+
+const samples = {
+  hubspot: [
+    { eventId: 101, subscriptionType: "call.creation", objectId: 5001, occurredAt: now - 3600000, sourceId: `userId:${owner}` },
+    { eventId: 102, subscriptionType: "meeting.creation", objectId: 5002, occurredAt: now - 1800000, sourceId: `userId:${owner}` },
+    { eventId: 103, subscriptionType: "deal.propertyChange", objectId: 7001, propertyName: "dealstage", propertyValue: "closedwon", occurredAt: now, sourceId: `userId:${owner}` },
+  ],
+  pipedrive: [
+    { meta: { object: "activity", action: "added", id: 301, timestamp: Math.floor(now / 1000), user_id: owner }, current: { id: 301, type: "call", subject: "Intro call" } },
+    { meta: { object: "deal", action: "updated", id: 88, timestamp: Math.floor(now / 1000), user_id: owner }, current: { id: 88, status: "won", title: "Acme renewal", value: 12000, org_name: "Acme" }, previous: { status: "open" } },
+  ],
+  generic: [
+    { id: "evt-1", type: "call_logged", owner, occurredAt: new Date(now).toISOString(), subject: "Follow-up call" },
+  ],
+};
+
+if (flag("--file")) {
+  process.stdout.write(JSON.stringify({ events: [...samples.hubspot, ...samples.pipedrive, ...samples.generic] }, null, 2) + "\n");
+} else {
+  const send = async () => {
+    for (const [source, payload] of Object.entries(samples)) {
+      // HubSpot delivers batches; the others one event per request
+      const bodies = source === "hubspot" ? [payload] : payload;
+      for (const body of bodies) {
+        const res = await fetch(`${receiverUrl}/webhooks/${source}`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify(body),
+        });
+        console.log(`${source}: HTTP ${res.status} ${await res.text()}`);
+      }
+    }
+  };
+  try {
+    await send();
+    if (flag("--repeat")) await send();
+  } catch (err) {
+    console.error(`Could not reach ${receiverUrl}: ${err.message}`);
+    process.exitCode = 1;
+  }
+}
@@ -0,0 +1,83 @@
+// scripts/crm-receiver.mjs
+// Local webhook receiver for CRM events. Point HubSpot/Pipedrive webhooks (through a
+// tunnel) or scripts/crm-mock.mjs at it; the app polls it from the 🔌 CRM panel.
+//
+//   POST /webhooks/<source>   store a payload (JSON object or array) as received
+//   GET  /events?after=<seq>  { events: [{ seq, source, receivedAt, payload }], cursor }
+//
+// Payloads are kept raw; the app normalizes them (src/crm.js). Records live in memory
+// and, when CRM_RECEIVER_FILE is set, in that JSON file so restarts keep them.
+// Env: CRM_RECEIVER_PORT (default 8787), CRM_RECEIVER_FILE, CRM_RECEIVER_TOKEN
+// (when set, webhooks must send ?token=<value>).
+
+import http from "node:http";
+import fs from "node:fs";
+
+const PORT = Number(process.env.CRM_RECEIVER_PORT) || 8787;
+const FILE = process.env.CRM_RECEIVER_FILE || "";
+const TOKEN = process.env.CRM_RECEIVER_TOKEN || "";
+const MAX_BODY_BYTES = 1024 * 1024;
+
+let records = [];
+if (FILE && fs.existsSync(FILE)) {
+  try { records = JSON.parse(fs.readFileSync(FILE, "utf8")); }
+  catch (err) { console.warn(`Could not read ${FILE}, starting empty:`, err.message); }
+}
+let seq = records.reduce((max, r) => Math.max(max, r.seq), 0);
+
+const CORS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type",
+};
+
+function send(res, status, body) {
+  res.writeHead(status, { ...CORS, "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", (c) => {
+      size += c.length;
+      if (size > MAX_BODY_BYTES) { reject(new Error("Body too large")); req.destroy(); return; }
+      chunks.push(c);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host || "localhost"}`);
+  if (req.method === "OPTIONS") return send(res, 204, {});
+
+  if (req.method === "GET" && url.pathname === "/events") {
+    const after = Number(url.searchParams.get("after")) || 0;
+    return send(res, 200, { events: records.filter((r) => r.seq > after), cursor: seq });
+  }
+
+  const hook = url.pathname.match(/^\/webhooks\/([\w-]+)$/);
+  if (req.method === "POST" && hook) {
+    if (TOKEN && url.searchParams.get("token") !== TOKEN) return send(res, 401, { error: "Bad token" });
+    let payload;
+    try { payload = JSON.parse(await readBody(req)); }
+    catch (err) { return send(res, 400, { error: `Invalid JSON: ${err.message}` }); }
+
+    // HubSpot batches several events in one array; keep them as separate records
+    const received = (Array.isArray(payload) ? payload : [payload])
+      .map((p) => ({ seq: ++seq, source: hook[1], receivedAt: Date.now(), payload: p }));
+    records.push(...received);
+    if (FILE) fs.writeFileSync(FILE, JSON.stringify(records, null, 2));
+    console.log(`${new Date().toISOString()} ${hook[1]}: ${received.length} event(s), cursor ${seq}`);
+    return send(res, 200, { ok: true, cursor: seq });
+  }
+
+  send(res, 404, { error: "Not found" });
+});
+
+server.listen(PORT, () => {
+  console.log(`CRM receiver on http://localhost:${PORT} (POST /webhooks/<source>, GET /events)`);
+});
@@ -1,11 +1,61 @@
-import React, { useEffect, useMemo, useRef, useState } from "react";
-import { saveActivityToSheet } from "./cloud";
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import {
+  queueActivity, queueActivityUpdate, queueActivityDelete, flushOutbox,
+  getOutbox, subscribeOutbox, syncStatusOf, activityItems, startOutbox, requestLeaderboard, testConnection,
+  queueChallenge, requestChallenges, requestChallengeStandings, queueCatalog, requestCatalog,
+} from "./cloud.js";
+import { getBackendConfig, isBackendConfigured, saveBackendConfig, clearBackendConfig } from "./config.js";
+import {
+  todayISO, clamp, uid, xpForLevel, safeJSONParse, parseISODate, addDaysISO, levelFromXP, recomputeProgress, sheetActivity,
+  SEASON_RESET_LEVEL, SEASON_RESET_XP,
+} from "./game.js";
+import {
+  STORAGE_PREFIX, STORAGE_KINDS, getStorage, switchStorage, onStorageError, makeFreshState,
+  loadProfiles, saveProfiles, hasPersonState, loadPersonState, savePersonState,
+} from "./storage.js";
+import { createBackup, parseBackup, applyBackup } from "./backup.js";
+import {
+  EXPORT_COLUMNS, entryRows, summaryRows, toCSV, toJSON, toXLSX, focusICS,
+  reportWeek, weeklySummary, weeklyReportHTML, downloadFile, openPrintable,
+} from "./exports.js";
+import { planCsvImport, applyCsvImport } from "./csvImport.js";
+import { RULE_TYPES, makeRule, scoreEntry, describeRules } from "./scoring.js";
+import {
+  WEEKDAYS, dailyPoints, inLastDays, byCategory, byQuest, weekdayHourGrid, weekOverWeek, dealsByQuest, topClients,
+} from "./analytics.js";
+import {
+  requestNotifyPermission, showSystemNotification, scheduleSystemNotification, cancelSystemNotification,
+  notificationsSupported, onNotificationClick,
+} from "./pwa.js";
+import { REMINDER_TYPES, makeReminder, planReminders, isQuietTime, firedToday, markFired } from "./reminders.js";
+import { makeIdleTimer, remainingMs, startTimer, pauseTimer, resetTimer, checkExpiry, dismissPending, blockLog } from "./timer.js";
+import {
+  METRIC_TYPES, loadChallenges, saveChallenges, makeChallenge, soloSides, isTeamChallenge,
+  challengeStatus, challengeStandings, settleChallenges, mergeChallenges,
+} from "./challenges.js";
+import { GOAL_PERIODS, GOAL_MEASURES, makeGoal, goalProgress, dailyPointsGoal } from "./goals.js";
+import { EMPTY_FILTER, parseTags, allTags, isFilterActive, filterHistory, paginate } from "./historyFilter.js";
+import { SCHEDULE_KINDS, todayChecklist, describeSchedule } from "./schedule.js";
+import {
+  CRM_EVENT_TYPES, loadCrmConfig, saveCrmConfig, loadCrmInbox, saveCrmInbox,
+  parseCrmImport, addToInbox, takeForPerson, fetchCrmEvents,
+} from "./crm.js";
+import { loadCatalog, saveCatalog, questsFor, nextCatalog, isNewerCatalog, catalogFile, parseCatalog } from "./catalog.js";
+import {
+  SEASON_LENGTHS, loadSeasonConfig, loadSeasonArchive, rolloverSeasons, applySeasonConfig, personalBests,
+} from "./seasons.js";
+import {
+  NO_TEAM, loadTeams, saveTeams, addTeam, renameTeam, removeTeam, assignPerson, teamOf, teamTotals,
+  hasManagerPin, setManagerPin, verifyManagerPin, clearManagerPin,
+} from "./teams.js";
+import { CRITERIA_TYPES, DEFAULT_BADGES, loadCustomBadges, saveCustomBadges, badgeProgress, evaluateBadges } from "./badges.js";
 
 /**
  * Sales & Marketing Productivity Game (mobile-optimized)
- * - Soft Weekly Reset: only Level → 1 and XP → 0 (history kept, CSV works)
- * - Auto weekly reset at local Monday 00:00 via isoWeekKey
- * - Focus timer with repeating alarm + in-app modal + notifications
+ * - Seasons (week / two weeks / month / quarter): XP and level restart, final standings archived
+ * - Soft Season Reset: only Level → 1 and XP → 0 (history kept, CSV works)
+ * - Focus timer with repeating alarm + in-app modal + system notifications
+ * - Installable PWA with an offline app shell (public/sw.js)
  */
 
 /* -------------------- UI class helpers -------------------- */
@@ -27,32 +77,6 @@ const TAB_BTN =
   "bg-white text-gray-900 border-gray-300 " +
   "dark:bg-gray-800 dark:text-gray-100 dark:border-gray-600";
 
-/* -------------------- Utilities -------------------- */
-const todayISO = () => {
-  const d = new Date();
-  const y = d.getFullYear();
-  const m = String(d.getMonth() + 1).padStart(2, "0");
-  const day = String(d.getDate()).padStart(2, "0");
-  return `${y}-${m}-${day}`;
-};
-const clamp = (n, min, max) => Math.max(min, Math.min(max, n));
-const uid = () => Math.random().toString(36).slice(2, 9);
-const xpForLevel = (level) => 100 + (level - 1) * 75;
-function safeJSONParse(str, fallback) { try { return JSON.parse(str); } catch { return fallback; } }
-
-/** Local-time ISO week key like "2025-W09" (Mon-based) */
-function isoWeekKey(d = new Date()) {
-  const date = new Date(d.getFullYear(), d.getMonth(), d.getDate());
-  const dayNum = (date.getDay() + 6) % 7;             // Mon=0..Sun=6
-  date.setDate(date.getDate() - dayNum + 3);          // Thu of this week
-  const week1 = new Date(date.getFullYear(), 0, 4);   // Jan 4th
-  const weekNo = 1 + Math.round(
-    ((date - week1) / 86400000 - 3 + ((week1.getDay() + 6) % 7)) / 7
-  );
-  const year = date.getFullYear();
-  return `${year}-W${String(weekNo).padStart(2, "0")}`;
-}
-
 /* -------------------- Simple WebAudio beeper (mobile-friendly) -------------------- */
 const audioEngine = (() => {
   let ctx = null;
@@ -106,87 +130,6 @@ const audioEngine = (() => {
   return { attachUnlockOnce, beep };
 })();
 
-/* -------------------- Defaults -------------------- */
-const defaultQuests = [
-  { id: uid(), title: "Prospecting call", points: 5, category: "Sales", emoji: "📞" },
-  { id: uid(), title: "Book a meeting", points: 15, category: "Sales", emoji: "📅" },
-  { id: uid(), title: "Send proposal/quote", points: 20, category: "Sales", emoji: "📨" },
-  { id: uid(), title: "Close a deal", points: 75, category: "Sales", emoji: "🏁" },
-  { id: uid(), title: "LinkedIn post", points: 10, category: "Marketing", emoji: "📝" },
-  { id: uid(), title: "5 meaningful comments", points: 5, category: "Marketing", emoji: "💬" },
-  { id: uid(), title: "Email newsletter", points: 20, category: "Marketing", emoji: "📧" },
-  { id: uid(), title: "Add 10 leads to CRM", points: 10, category: "Ops", emoji: "🗂️" },
-];
-
-const defaultSettings = {
-  dailyGoal: 100,
-  pomodoroMinutes: 25,
-  shortBreakMinutes: 5,
-  longBreakMinutes: 15,
-  theme: "system", // light | dark | system
-};
-
-const STORAGE_VERSION = 3;
-
-/* -------------------- Weekly reset constants -------------------- */
-const WEEKLY_RESET_LEVEL = 1;
-const WEEKLY_RESET_XP = 0;
-
-/* -------------------- Fresh person state -------------------- */
-const makeFreshState = (name = "") => ({
-  __version: STORAGE_VERSION,
-  name,
-  weekKey: isoWeekKey(new Date()), // track which week stats are for
-  settings: { ...defaultSettings },
-  quests: defaultQuests,
-  history: [], // {id,date,questId,title,category,points,emoji,timestamp}
-  xp: 0,
-  level: 1,
-  streak: 0,
-  lastGoalDate: null,
-});
-
-/* -------------------- Local Storage (multi-user) -------------------- */
-const STORAGE_PREFIX = "sm-productivity-game:v2:";
-const PROFILES_KEY = STORAGE_PREFIX + "profiles"; // string[]
-
-function loadProfiles() {
-  const arr = safeJSONParse(localStorage.getItem(PROFILES_KEY), []);
-  return Array.isArray(arr) ? arr : [];
-}
-function saveProfiles(arr) {
-  localStorage.setItem(PROFILES_KEY, JSON.stringify(arr));
-}
-function personKey(person) {
-  return STORAGE_PREFIX + "person:" + person;
-}
-function migrateState(parsed, person) {
-  const base = makeFreshState(person);
-  const settings = { ...defaultSettings, ...(parsed.settings || {}) };
-  const quests = (parsed.quests?.length ? parsed.quests : defaultQuests).map(q => ({ emoji: "🎯", ...q }));
-  return {
-    ...base,
-    ...parsed,
-    __version: STORAGE_VERSION,
-    name: person,
-    settings,
-    quests,
-    weekKey: parsed.weekKey || base.weekKey,
-  };
-}
-function loadPersonState(person) {
-  if (!person) return makeFreshState("");
-  const raw = localStorage.getItem(personKey(person));
-  if (!raw) return makeFreshState(person);
-  const parsed = safeJSONParse(raw, null);
-  if (!parsed) return makeFreshState(person);
-  return migrateState(parsed, person);
-}
-function savePersonState(person, state) {
-  if (!person) return;
-  localStorage.setItem(personKey(person), JSON.stringify({ ...state, __version: STORAGE_VERSION }));
-}
-
 /* -------------------- Theme helpers -------------------- */
 function effectiveTheme(themeSetting) {
   if (themeSetting === "light") return "light";
@@ -196,7 +139,8 @@ function effectiveTheme(themeSetting) {
 }
 
 /* -------------------- Header -------------------- */
-function Header({ level, xp, nextXP, onReset, theme, setTheme, onExportAllCSV }) {
+function Header({ level, xp, nextXP, seasonStart, seasonEnd, onReset, onOpenSeasons, theme, setTheme, onOpenExport, onBackup, onRestoreFile, onOpenSettings }) {
+  const restoreInputRef = useRef(null);
   const pct = clamp(Math.round((xp / nextXP) * 100), 0, 100);
   return (
     <header className="flex flex-col gap-3 md:flex-row md:items-center md:justify-between">
@@ -220,10 +164,22 @@ function Header({ level, xp, nextXP, onReset, theme, setTheme, onExportAllCSV })
           <div className="w-full h-2 bg-gray-200 dark:bg-gray-700 rounded-full overflow-hidden">
             <div className="h-full bg-black dark:bg-gray-100" style={{ width: `${pct}%` }} />
           </div>
+          {seasonStart && <div className="text-xs opacity-70 mt-1">Season {fmtDay(seasonStart)} – {fmtDay(seasonEnd)}</div>}
         </div>
 
-        <button onClick={onExportAllCSV} className={BTN}>Export All CSV</button>
-        <button onClick={onReset} className={BTN}>Weekly Reset</button>
+        <button onClick={onOpenExport} className={BTN}>⬇️ Export</button>
+        <button onClick={onBackup} className={BTN}>Backup</button>
+        <button onClick={()=>restoreInputRef.current?.click()} className={BTN}>Restore</button>
+        <input
+          ref={restoreInputRef}
+          type="file"
+          accept="application/json,.json"
+          className="hidden"
+          onChange={(e)=>{ const f = e.target.files?.[0]; e.target.value = ""; if (f) onRestoreFile(f); }}
+        />
+        <button onClick={onOpenSeasons} className={BTN}>🏁 Seasons</button>
+        <button onClick={onReset} className={BTN}>Season Reset</button>
+        <button onClick={onOpenSettings} className={BTN} title="Settings">⚙️</button>
 
         <select
           value={theme}
@@ -241,8 +197,9 @@ function Header({ level, xp, nextXP, onReset, theme, setTheme, onExportAllCSV })
 }
 
 /* -------------------- Multi-user People Bar -------------------- */
-function PeopleBar({ person, setPerson, profiles, setProfiles, onExportCSV }) {
+function PeopleBar({ person, setPerson, profiles, setProfiles, teams, isManager, hasPin, requireManager, onLock, onRemovePerson, onOpenTeams, onExportCSV, onImportCSVFile }) {
   const [newName, setNewName] = useState("");
+  const importInputRef = useRef(null);
 
   function addPerson() {
     const name = newName.trim();
@@ -252,18 +209,18 @@ function PeopleBar({ person, setPerson, profiles, setProfiles, onExportCSV }) {
       setProfiles(next);
       saveProfiles(next);
     }
-    const existing = localStorage.getItem(personKey(name));
-    if (!existing) savePersonState(name, makeFreshState(name));
+    if (!hasPersonState(name)) savePersonState(name, makeFreshState(name));
     setPerson(name);
     setNewName("");
   }
 
   function removePerson() {
     if (!person) return;
-    if (!confirm(`Remove ${person} from the picker?\n(Their saved data stays in localStorage.)`)) return;
+    if (!confirm(`Remove ${person} from the picker?\n(Their saved data stays on this device.)`)) return;
     const next = profiles.filter((p) => p !== person);
     setProfiles(next);
     saveProfiles(next);
+    onRemovePerson(person);
     setPerson(next[0] || "");
   }
 
@@ -272,7 +229,7 @@ function PeopleBar({ person, setPerson, profiles, setProfiles, onExportCSV }) {
       <select value={person} onChange={(e) => setPerson(e.target.value)} className={CONTROL}>
         {profiles.length === 0 && <option value="">— Select person —</option>}
         {profiles.map((p) => (
-          <option key={p} value={p}>{p}</option>
+          <option key={p} value={p}>{p}{teamOf(teams, p) ? ` · ${teamOf(teams, p)}` : ""}</option>
         ))}
       </select>
       <input
@@ -283,15 +240,426 @@ function PeopleBar({ person, setPerson, profiles, setProfiles, onExportCSV }) {
       />
       <button onClick={addPerson} className={BTN}>Add</button>
       {!!person && (
-        <button onClick={removePerson} className={BTN}>Remove</button>
+        <button onClick={()=>requireManager(removePerson)} className={BTN}>Remove</button>
+      )}
+      <button onClick={onOpenTeams} className={BTN}>👥 Teams</button>
+      {hasPin && (
+        isManager
+          ? <button onClick={onLock} className={BTN} title="Lock manager actions">🔓 Manager</button>
+          : <button onClick={()=>requireManager()} className={BTN} title="Unlock manager actions">🔒 Manager</button>
       )}
       <button onClick={onExportCSV} className={BTN}>Export CSV</button>
+      <button onClick={()=>importInputRef.current?.click()} className={BTN}>Import CSV</button>
+      <input
+        ref={importInputRef}
+        type="file"
+        accept="text/csv,.csv"
+        className="hidden"
+        onChange={(e)=>{ const f = e.target.files?.[0]; e.target.value = ""; if (f) onImportCSVFile(f); }}
+      />
+    </div>
+  );
+}
+
+/* -------------------- Teams & manager role -------------------- */
+function ManagerPinPrompt({ onUnlock, onCancel }) {
+  const [pin, setPin] = useState("");
+  const [error, setError] = useState("");
+
+  const submit = async (e) => {
+    e.preventDefault();
+    try {
+      if (await verifyManagerPin(pin)) onUnlock();
+      else { setError("Wrong PIN."); setPin(""); }
+    } catch (err) {
+      setError(String(err?.message || err));
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4">
+      <form onSubmit={submit} className="w-full max-w-sm rounded-2xl bg-white dark:bg-gray-900 border border-gray-200 dark:border-gray-700 p-5 shadow-xl flex flex-col gap-3">
+        <h4 className="text-lg font-semibold">Manager PIN</h4>
+        <p className="text-sm opacity-80">Shared quests, goals, season resets and settings, backend and storage settings, restoring backups, challenges, teams and removing people are manager-only.</p>
+        <input autoFocus type="password" inputMode="numeric" className={CONTROL} value={pin} onChange={e=>setPin(e.target.value)} />
+        {error && <div className="text-xs text-red-600 dark:text-red-400">{error}</div>}
+        <div className="flex gap-2 justify-end">
+          <button type="button" onClick={onCancel} className={BTN}>Cancel</button>
+          <button type="submit" className="px-3 py-2 rounded-xl bg-black text-white dark:bg-white dark:text-black">Unlock</button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+function TeamsPanel({ teams, profiles, onChange, hasPin, onPinChanged, onClose }) {
+  const [newTeam, setNewTeam] = useState("");
+  const [pin, setPin] = useState("");
+  const [pinMsg, setPinMsg] = useState("");
+
+  const add = () => {
+    const name = newTeam.trim();
+    if (!name || teams.teams.some(t => t.name === name)) return;
+    onChange(addTeam(teams, name));
+    setNewTeam("");
+  };
+
+  const savePin = async () => {
+    if (!/^\d{4,8}$/.test(pin)) { setPinMsg("Use 4–8 digits."); return; }
+    try {
+      await setManagerPin(pin);
+      setPin("");
+      setPinMsg("PIN saved.");
+      onPinChanged();
+    } catch (err) {
+      setPinMsg(String(err?.message || err));
+    }
+  };
+
+  const removePin = () => {
+    if (!confirm("Remove the manager PIN? Everyone on this device will be able to edit quests, goals and teams.")) return;
+    clearManagerPin();
+    setPinMsg("PIN removed.");
+    onPinChanged();
+  };
+
+  return (
+    <div className="p-4 rounded-2xl border shadow-sm bg-white/70 dark:bg-gray-900/70 border-gray-200 dark:border-gray-700 flex flex-col gap-3">
+      <div className="flex items-center justify-between">
+        <h2 className="text-lg font-semibold">Teams & manager</h2>
+        <button onClick={onClose} className={BTN + " px-2 py-1 text-xs"}>Close</button>
+      </div>
+
+      <ul className="space-y-1 text-sm">
+        {teams.teams.map(t => (
+          <li key={t.id} className="flex items-center gap-2">
+            <input className={CONTROL + " flex-1 py-1"} value={t.name} onChange={e=>onChange(renameTeam(teams, t.id, e.target.value))} />
+            <button onClick={()=>onChange(removeTeam(teams, t.id))} className={BTN + " px-2 py-1 text-xs"}>Del</button>
+          </li>
+        ))}
+        {teams.teams.length === 0 && <li className="opacity-70">No teams yet.</li>}
+      </ul>
+      <div className="flex gap-2 text-sm">
+        <input className={CONTROL + " flex-1"} placeholder="New team (e.g. SDR pod)" value={newTeam} onChange={e=>setNewTeam(e.target.value)} onKeyDown={e=>{ if (e.key === "Enter") add(); }} />
+        <button onClick={add} className={BTN}>+ Add team</button>
+      </div>
+
+      {teams.teams.length > 0 && profiles.length > 0 && (
+        <table className="w-full text-sm">
+          <tbody>
+            {profiles.map(p => (
+              <tr key={p} className="border-t border-gray-200 dark:border-gray-700">
+                <td className="py-1">{p}</td>
+                <td className="text-right">
+                  <select className={CONTROL + " py-1"} value={teams.members[p] || ""} onChange={e=>onChange(assignPerson(teams, p, e.target.value))}>
+                    <option value="">{NO_TEAM}</option>
+                    {teams.teams.map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
+                  </select>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <div className="border-t border-gray-200 dark:border-gray-700 pt-3 flex flex-col gap-2 text-sm">
+        <div className="font-medium">Manager PIN</div>
+        <p className="text-xs opacity-70">
+          {hasPin ? "A PIN is set. Only the manager can change shared quests, goals, teams, challenges and backend settings, restore backups, reset weeks or remove people."
+            : "No PIN yet — anyone on this device can manage the team."}
+        </p>
+        <div className="flex gap-2">
+          <input type="password" inputMode="numeric" className={CONTROL + " w-32"} placeholder="4–8 digits" value={pin} onChange={e=>setPin(e.target.value)} />
+          <button onClick={savePin} className={BTN}>{hasPin ? "Change PIN" : "Set PIN"}</button>
+          {hasPin && <button onClick={removePin} className={BTN}>Remove PIN</button>}
+        </div>
+        {pinMsg && <div className="text-xs opacity-80">{pinMsg}</div>}
+      </div>
+    </div>
+  );
+}
+
+/* -------------------- Backend settings -------------------- */
+function BackendSettings({ onClose }) {
+  const initial = getBackendConfig();
+  const [endpoint, setEndpoint] = useState(initial.source === "device" ? initial.endpoint : "");
+  const [token, setToken] = useState(initial.source === "device" ? initial.token : "");
+  const [testing, setTesting] = useState(false);
+  const [result, setResult] = useState(null); // { ok, message }
+
+  // Blank fields fall back to the build-time (env) values
+  const draft = () => {
+    const env = getBackendConfig();
+    return {
+      endpoint: endpoint.trim() || (env.source === "env" ? env.endpoint : ""),
+      token: token.trim() || (env.source === "env" ? env.token : ""),
+    };
+  };
+
+  const runTest = async () => {
+    const cfg = draft();
+    if (!isBackendConfigured(cfg)) { setResult({ ok: false, message: "Enter the Apps Script URL first." }); return; }
+    setTesting(true);
+    setResult(null);
+    setResult(await testConnection(cfg));
+    setTesting(false);
+  };
+
+  const save = () => {
+    saveBackendConfig({ endpoint, token });
+    flushOutbox({ force: true });
+    onClose();
+  };
+
+  const changeStorage = async (kind) => {
+    const current = getStorage().kind;
+    if (kind === current) return;
+    const note = kind === "memory" ? `"memory" starts empty and keeps nothing after closing; your saved data stays in "${current}".`
+      : current === "memory" ? `This session's data is discarded; you'll see what was last saved in "${kind}".`
+      : `Everything saved on this device is copied to "${kind}" first, replacing what it held.`;
+    if (!confirm(`Switch storage to "${kind}" and reload? ${note}`)) return;
+    try {
+      await switchStorage(kind);
+    } catch (err) {
+      alert(err.message);
+      return;
+    }
+    window.location.reload();
+  };
+
+  const reset = () => {
+    if (!confirm("Forget this device's backend settings?")) return;
+    clearBackendConfig();
+    setEndpoint("");
+    setToken("");
+    setResult(null);
+  };
+
+  return (
+    <div className="p-4 rounded-2xl border shadow-sm bg-white/70 dark:bg-gray-900/70 border-gray-200 dark:border-gray-700 flex flex-col gap-3">
+      <div className="flex items-center justify-between">
+        <h2 className="text-lg font-semibold">Backend settings</h2>
+        <span className="text-xs opacity-70">
+          {initial.source === "device" ? "Using this device's settings" : initial.source === "env" ? "Using build defaults" : "Not configured"}
+        </span>
+      </div>
+      <label className="flex flex-col gap-1 text-sm">
+        <span>Apps Script URL (ends with /exec)</span>
+        <input
+          className={CONTROL}
+          placeholder={initial.source === "env" ? initial.endpoint : "https://script.google.com/macros/s/…/exec"}
+          value={endpoint}
+          onChange={e=>setEndpoint(e.target.value)}
+        />
+      </label>
+      <label className="flex flex-col gap-1 text-sm">
+        <span>Access token (must match the script)</span>
+        <input
+          type="password"
+          autoComplete="off"
+          className={CONTROL}
+          placeholder={initial.source === "env" && initial.token ? "•••• (build default)" : ""}
+          value={token}
+          onChange={e=>setToken(e.target.value)}
+        />
+      </label>
+      {result && (
+        <div className={`text-sm ${result.ok ? "text-green-700 dark:text-green-300" : "text-red-600 dark:text-red-400"}`}>
+          {result.ok ? "✓ " : "✗ "}{result.message}
+        </div>
+      )}
+      <div className="flex flex-wrap gap-2">
+        <button onClick={save} className="px-3 py-2 rounded-xl bg-black text-white dark:bg-white dark:text-black">Save</button>
+        <button onClick={runTest} disabled={testing} className={BTN + " disabled:opacity-50"}>{testing ? "Testing…" : "Test connection"}</button>
+        <button onClick={reset} className={BTN}>Use defaults</button>
+        <button onClick={onClose} className={BTN}>Close</button>
+      </div>
+      <p className="text-xs opacity-70">Stored on this device only. Activities stay queued locally until a backend is set.</p>
+      <label className="flex items-center gap-2 text-sm">
+        <span>Local storage backend</span>
+        <select className={CONTROL} value={getStorage().kind} onChange={e=>changeStorage(e.target.value)}>
+          {STORAGE_KINDS.map(k => <option key={k} value={k}>{k}</option>)}
+        </select>
+      </label>
+    </div>
+  );
+}
+
+/* -------------------- Exports -------------------- */
+const EXPORT_FORMATS = { csv: "CSV", xlsx: "Excel (XLSX)", json: "JSON", ics: "Focus calendar (.ics)" };
+
+function ExportPanel({ person, teams, filtered, onExport, onReport, onClose }) {
+  const [scope, setScope] = useState(person ? "person" : "all");
+  const [week, setWeek] = useState(0);
+
+  return (
+    <div className="p-4 rounded-2xl border shadow-sm bg-white/70 dark:bg-gray-900/70 border-gray-200 dark:border-gray-700 flex flex-col gap-3 text-sm">
+      <div className="flex items-center justify-between">
+        <h2 className="text-lg font-semibold">Export</h2>
+        <button onClick={onClose} className={BTN + " px-2 py-1 text-xs"}>Close</button>
+      </div>
+      <div className="flex flex-wrap items-center gap-2">
+        <span>For</span>
+        <select className={CONTROL} value={scope} onChange={e=>setScope(e.target.value)}>
+          {person && <option value="person">{person}</option>}
+          <option value="all">All profiles</option>
+          {teams.teams.map(t => <option key={t.id} value={t.id}>Team: {t.name}</option>)}
+        </select>
+      </div>
+      <div className="flex flex-wrap gap-2">
+        {Object.entries(EXPORT_FORMATS).map(([k, label]) => (
+          <button key={k} onClick={()=>onExport(k, scope)} className={BTN}>{label}</button>
+        ))}
+      </div>
+      <p className="text-xs opacity-70">
+        Times are ISO 8601 with the UTC offset and time zone.{filtered && " The history browser's filter applies."}
+      </p>
+      <div className="flex flex-wrap items-center gap-2 border-t border-gray-200 dark:border-gray-700 pt-3">
+        <span>Weekly report for</span>
+        <select className={CONTROL} value={week} onChange={e=>setWeek(Number(e.target.value))}>
+          <option value={0}>this week</option>
+          <option value={-1}>last week</option>
+        </select>
+        <button onClick={()=>onReport(scope, week)} className={BTN}>🖨️ Printable report</button>
+      </div>
+    </div>
+  );
+}
+
+/* -------------------- Restore preview -------------------- */
+function RestorePanel({ parsed, onApply, onCancel }) {
+  const [choices, setChoices] = useState(() =>
+    Object.fromEntries(parsed.profiles.map(p => [p.name, p.exists ? "merge" : "replace"]))
+  );
+  const setChoice = (name, value) => setChoices(c => ({ ...c, [name]: value }));
+  const count = Object.values(choices).filter(c => c !== "skip").length;
+  const [sharedKeys, setSharedKeys] = useState(() => parsed.shared.map(s => s.key));
+  const toggleShared = (key) => setSharedKeys(k => k.includes(key) ? k.filter(x => x !== key) : [...k, key]);
+
+  return (
+    <div className="p-4 rounded-2xl border shadow-sm bg-white/70 dark:bg-gray-900/70 border-gray-200 dark:border-gray-700 flex flex-col gap-3">
+      <div className="flex items-center justify-between">
+        <h2 className="text-lg font-semibold">Restore backup</h2>
+        <span className="text-xs opacity-70">
+          {parsed.exportedAt ? `Exported ${new Date(parsed.exportedAt).toLocaleString()}` : "Export date unknown"}
+        </span>
+      </div>
+      {parsed.profiles.length === 0 && <div className="text-sm opacity-70">No profiles in this backup.</div>}
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left opacity-70"><th>Profile</th><th>Entries</th><th>Action</th></tr>
+        </thead>
+        <tbody>
+          {parsed.profiles.map(p => (
+            <tr key={p.name} className="border-t border-gray-200 dark:border-gray-700">
+              <td className="py-1">
+                {p.name}
+                {!p.exists && <span className="ml-1 text-xs opacity-70">(new)</span>}
+              </td>
+              <td className="text-xs">
+                {p.incomingCount} in backup
+                {p.exists && <> • {p.localCount} here • {p.newCount} new</>}
+              </td>
+              <td>
+                <select className={CONTROL + " py-1"} value={choices[p.name]} onChange={e=>setChoice(p.name, e.target.value)}>
+                  {p.exists && <option value="merge">Merge</option>}
+                  <option value="replace">{p.exists ? "Replace" : "Add"}</option>
+                  <option value="skip">Skip</option>
+                </select>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p className="text-xs opacity-70">Merge keeps this device's settings and quests and adds entries it doesn't have yet. Replace overwrites the profile with the backup.</p>
+      {parsed.shared.length > 0 && (
+        <div className="flex flex-col gap-1 text-sm">
+          <div className="opacity-70">Also restore this device's shared data</div>
+          {parsed.shared.map(s => (
+            <label key={s.key} className="flex items-center gap-2">
+              <input type="checkbox" checked={sharedKeys.includes(s.key)} onChange={()=>toggleShared(s.key)} />
+              {s.label}
+            </label>
+          ))}
+        </div>
+      )}
+      <p className="text-xs opacity-70">Backups never contain the backend access token or the manager PIN.</p>
+      <div className="flex gap-2">
+        <button
+          onClick={()=>onApply(choices, sharedKeys)}
+          disabled={!count && !sharedKeys.length}
+          className="px-3 py-2 rounded-xl bg-black text-white dark:bg-white dark:text-black disabled:opacity-50"
+        >{count ? `Restore ${count} profile${count===1?'':'s'}` : "Restore"}</button>
+        <button onClick={onCancel} className={BTN}>Cancel</button>
+      </div>
+    </div>
+  );
+}
+
+/* -------------------- CSV import (dry run + apply) -------------------- */
+function CsvImportPanel({ fileName, text, fallbackPerson, onApply, onCancel }) {
+  const [createProfiles, setCreateProfiles] = useState(true);
+  const result = useMemo(() => {
+    try { return { plan: planCsvImport(text, { fallbackPerson, createProfiles }) }; }
+    catch (err) { return { error: err.message }; }
+  }, [text, fallbackPerson, createProfiles]);
+  const { plan, error } = result;
+
+  return (
+    <div className="p-4 rounded-2xl border shadow-sm bg-white/70 dark:bg-gray-900/70 border-gray-200 dark:border-gray-700 flex flex-col gap-3">
+      <div className="flex items-center justify-between">
+        <h2 className="text-lg font-semibold">Import CSV — dry run</h2>
+        <span className="text-xs opacity-70">{fileName}</span>
+      </div>
+      {error && <div className="text-sm text-red-600 dark:text-red-400">{error}</div>}
+      {plan && (
+        <>
+          <label className="flex items-center gap-2 text-sm">
+            <input type="checkbox" checked={createProfiles} onChange={e=>setCreateProfiles(e.target.checked)} />
+            Create profiles that don't exist yet
+          </label>
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left opacity-70"><th>Profile</th><th className="text-right">Entries to add</th></tr>
+            </thead>
+            <tbody>
+              {Object.entries(plan.byPerson).map(([name, p]) => (
+                <tr key={name} className="border-t border-gray-200 dark:border-gray-700">
+                  <td className="py-1">{name}{p.isNew && <span className="ml-1 text-xs opacity-70">(new profile)</span>}</td>
+                  <td className="text-right font-semibold">{p.entries.length}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div className="text-sm">
+            {plan.total} to import • {plan.duplicates.length} duplicate{plan.duplicates.length===1?'':'s'} • {plan.skipped.length} skipped
+          </div>
+          {(plan.duplicates.length > 0 || plan.skipped.length > 0) && (
+            <details className="text-xs">
+              <summary className="cursor-pointer opacity-80">Show skipped and duplicate rows</summary>
+              <ul className="mt-2 space-y-1 max-h-48 overflow-auto">
+                {plan.skipped.map(r => <li key={"s"+r.line}>Line {r.line}: skipped — {r.reason}</li>)}
+                {plan.duplicates.map(r => <li key={"d"+r.line}>Line {r.line}: duplicate — {r.person}, "{r.title}"</li>)}
+              </ul>
+            </details>
+          )}
+          <p className="text-xs opacity-70">Imported entries stay on this device; they are not sent to the sheet.</p>
+        </>
+      )}
+      <div className="flex gap-2">
+        <button
+          onClick={()=>onApply(plan)}
+          disabled={!plan || !plan.total}
+          className="px-3 py-2 rounded-xl bg-black text-white dark:bg-white dark:text-black disabled:opacity-50"
+        >Import {plan?.total || 0} entr{plan?.total===1?'y':'ies'}</button>
+        <button onClick={onCancel} className={BTN}>Cancel</button>
+      </div>
     </div>
   );
 }
 
 /* -------------------- Daily Progress -------------------- */
-function DailyProgress({ historyToday, dailyGoal, onSetGoal }) {
+function DailyProgress({ historyToday, dailyGoal, onSetGoal, locked, onUnlock }) {
   const [goalDraft, setGoalDraft] = useState(String(dailyGoal));
   useEffect(() => { setGoalDraft(String(dailyGoal)); }, [dailyGoal]);
 
@@ -318,8 +686,11 @@ function DailyProgress({ historyToday, dailyGoal, onSetGoal }) {
             onChange={(e) => setGoalDraft(e.target.value)}
             onBlur={commitGoal}
             onKeyDown={(e)=>{ if(e.key==='Enter') { e.currentTarget.blur(); }}}
+            readOnly={locked}
+            onFocus={(e)=>{ if (locked) { e.currentTarget.blur(); onUnlock(); } }}
             className={CONTROL + " w-24"}
             placeholder="points"
+            title={locked ? "Manager PIN required" : undefined}
           />
           <span>pts</span>
         </div>
@@ -332,16 +703,124 @@ function DailyProgress({ historyToday, dailyGoal, onSetGoal }) {
   );
 }
 
+/* -------------------- Goals (daily / weekly / monthly) -------------------- */
+const PACE_STYLE = {
+  done: "text-green-700 dark:text-green-400",
+  ahead: "text-green-700 dark:text-green-400",
+  "on track": "opacity-70",
+  behind: "text-amber-700 dark:text-amber-300",
+};
+
+function ProgressRing({ pct, size = 56, stroke = 6 }) {
+  const r = (size - stroke) / 2;
+  const c = 2 * Math.PI * r;
+  return (
+    <svg width={size} height={size} viewBox={`0 0 ${size} ${size}`} className="shrink-0 -rotate-90">
+      <circle cx={size/2} cy={size/2} r={r} fill="none" strokeWidth={stroke} className="stroke-gray-200 dark:stroke-gray-700" />
+      <circle
+        cx={size/2} cy={size/2} r={r} fill="none" strokeWidth={stroke} strokeLinecap="round"
+        strokeDasharray={c} strokeDashoffset={c * (1 - pct / 100)}
+        className={pct >= 100 ? "stroke-green-500" : "stroke-blue-500"}
+      />
+    </svg>
+  );
+}
+
+function describeGoal(goal, quests) {
+  const quest = quests.find(q => q.id === goal.questId);
+  const scope = quest ? `${quest.emoji} ${quest.title}` : goal.category || (goal.measure === "points" ? "Points" : "All quests");
+  return `${GOAL_PERIODS[goal.period]} · ${scope}`;
+}
+
+function paceText(p) {
+  if (p.status === "done") return "Done ✓";
+  if (p.status === "behind") return `Behind by ${p.behind}`;
+  if (p.status === "ahead") return `Ahead by ${p.value - p.expected}`;
+  return "On track";
+}
+
+function GoalEditor({ quests, onAdd, onCancel }) {
+  const [draft, setDraft] = useState(makeGoal);
+  const categories = Array.from(new Set(quests.map(q => q.category)));
+  const set = (patch) => setDraft(d => ({ ...d, ...patch }));
+  const add = () => {
+    const target = Math.max(1, parseInt(draft.target, 10) || 1);
+    onAdd({ ...draft, target, questId: draft.questId || undefined, category: draft.questId ? undefined : draft.category || undefined });
+  };
+  return (
+    <div className="flex flex-wrap items-center gap-2 text-sm border-t border-gray-200 dark:border-gray-700 pt-3">
+      <select className={CONTROL} value={draft.period} onChange={e=>set({ period: e.target.value })}>
+        {Object.entries(GOAL_PERIODS).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+      </select>
+      <input className={CONTROL + " w-20"} inputMode="numeric" value={draft.target} onChange={e=>set({ target: e.target.value })} />
+      <select className={CONTROL} value={draft.measure} onChange={e=>set({ measure: e.target.value })}>
+        {Object.entries(GOAL_MEASURES).map(([k, label]) => <option key={k} value={k}>{label.toLowerCase()}</option>)}
+      </select>
+      <span>of</span>
+      <select className={CONTROL} value={draft.questId} onChange={e=>set({ questId: e.target.value })}>
+        <option value="">Any quest</option>
+        {quests.map(q => <option key={q.id} value={q.id}>{q.emoji} {q.title}</option>)}
+      </select>
+      {!draft.questId && (
+        <select className={CONTROL} value={draft.category} onChange={e=>set({ category: e.target.value })}>
+          <option value="">Any category</option>
+          {categories.map(c => <option key={c}>{c}</option>)}
+        </select>
+      )}
+      <button onClick={add} className={BTN}>+ Add goal</button>
+      <button onClick={onCancel} className={BTN}>Cancel</button>
+    </div>
+  );
+}
+
+function Goals({ goals, history, settings, quests, requireManager, onChange }) {
+  const [adding, setAdding] = useState(false);
+  const rows = [dailyPointsGoal(settings), ...goals].map(g => ({ goal: g, progress: goalProgress(g, history, settings) }));
+
+  return (
+    <div className="p-4 rounded-2xl border shadow-sm bg-white/60 dark:bg-gray-900/60 border-gray-200 dark:border-gray-700 flex flex-col gap-3">
+      <div className="flex items-center justify-between">
+        <h2 className="text-lg font-semibold">Goals</h2>
+        <button onClick={()=>requireManager(()=>setAdding(v=>!v))} className={BTN + " px-2 py-1 text-xs"}>+ Goal</button>
+      </div>
+      <ul className="grid sm:grid-cols-2 gap-3">
+        {rows.map(({ goal, progress: p }) => (
+          <li key={goal.id} className="flex items-center gap-3">
+            <div className="relative">
+              <ProgressRing pct={p.pct} />
+              <span className="absolute inset-0 flex items-center justify-center text-xs font-semibold">{p.pct}%</span>
+            </div>
+            <div className="flex-1 min-w-0 text-sm">
+              <div className="font-medium truncate">{describeGoal(goal, quests)}</div>
+              <div className="opacity-80">{p.value} / {p.target} {goal.measure === "points" ? "pts" : "done"}</div>
+              <div className={"text-xs " + PACE_STYLE[p.status]}>{paceText(p)}</div>
+            </div>
+            {goal.id !== "daily-points" && (
+              <button onClick={()=>requireManager(()=>onChange(goals.filter(g => g.id !== goal.id)))} className={BTN + " px-2 py-1 text-xs"} aria-label="Remove goal">✕</button>
+            )}
+          </li>
+        ))}
+      </ul>
+      {adding && <GoalEditor quests={quests} onAdd={(g)=>{ onChange([...goals, g]); setAdding(false); }} onCancel={()=>setAdding(false)} />}
+    </div>
+  );
+}
+
 /* -------------------- Quest -------------------- */
-function QuestCard({ quest, onComplete, onEdit, onDelete }) {
+function QuestCard({ quest, highlighted, onComplete, onCompleteWithDetails, onEdit, onDelete }) {
   return (
-    <div className="p-4 rounded-2xl border shadow-sm bg-white/70 dark:bg-gray-900/70 border-gray-200 dark:border-gray-700 flex flex-col gap-3">
+    <div id={`quest-${quest.id}`} className={"p-4 rounded-2xl border shadow-sm bg-white/70 dark:bg-gray-900/70 border-gray-200 dark:border-gray-700 flex flex-col gap-3" + (highlighted ? " ring-2 ring-blue-500" : "")}>
       <div className="flex items-start justify-between gap-3">
         <div className="flex items-center gap-3">
           <span className="text-2xl" aria-hidden>{quest.emoji || '🎯'}</span>
           <div>
             <div className="font-semibold">{quest.title}</div>
-            <div className="text-xs opacity-70">{quest.category} • {quest.points} pts</div>
+            <div className="text-xs opacity-70">
+              {quest.category} • {quest.points} pts{quest.dailyCap > 0 && <> • max {quest.dailyCap}/day</>}
+              {quest.shared ? <> • 👥 Team</> : <> • Mine</>}
+              {quest.schedule && <> • 🔁 {describeSchedule(quest.schedule)}</>}
+              {quest.askDeal && <> • 💰 deal</>}
+            </div>
           </div>
         </div>
         <div className="flex gap-2 text-xs">
@@ -349,120 +828,1224 @@ function QuestCard({ quest, onComplete, onEdit, onDelete }) {
           <button onClick={() => onDelete(quest.id)} className={BTN + " px-2 py-1"}>Del</button>
         </div>
       </div>
-      <button onClick={() => onComplete(quest)} className="px-3 py-2 rounded-xl bg-black text-white hover:opacity-90 dark:bg-white dark:text-black">
-        Complete +{quest.points}
-      </button>
+      <div className="flex gap-2">
+        <button onClick={() => onComplete(quest)} className="flex-1 px-3 py-2 rounded-xl bg-black text-white hover:opacity-90 dark:bg-white dark:text-black">
+          Complete +{quest.points}
+        </button>
+        <button onClick={() => onCompleteWithDetails(quest)} className={BTN} title="Complete with notes and tags" aria-label="Complete with notes and tags">📝</button>
+      </div>
+    </div>
+  );
+}
+
+/* -------------------- Today checklist (recurring quests) -------------------- */
+const CHECKLIST_STYLE = {
+  overdue: "text-red-700 dark:text-red-400",
+  outstanding: "opacity-80",
+  done: "text-green-700 dark:text-green-400",
+};
+const CHECKLIST_LABEL = { overdue: "Overdue", outstanding: "To do", done: "Done ✓" };
+const TODAY_TAB = ":today"; // quest tab value that can't clash with a category name
+
+function TodayChecklist({ rows, onComplete }) {
+  if (!rows.length) {
+    return <div className="text-sm opacity-70">Nothing scheduled for today. Give a quest a schedule in its editor to see it here.</div>;
+  }
+  return (
+    <ul className="divide-y divide-gray-200 dark:divide-gray-700 rounded-2xl border border-gray-200 dark:border-gray-700 bg-white/70 dark:bg-gray-900/70">
+      {rows.map(({ quest, due, done, expected, status }) => (
+        <li key={quest.id} className="flex items-center gap-3 p-3 text-sm">
+          <span className="text-xl" aria-hidden>{quest.emoji || '🎯'}</span>
+          <div className="flex-1 min-w-0">
+            <div className={"font-medium truncate" + (status === "done" ? " line-through opacity-60" : "")}>{quest.title}</div>
+            <div className="text-xs opacity-70">
+              {describeSchedule(quest.schedule)} • {done}/{expected}{due !== todayISO() && <> • due {fmtDay(due)}</>}
+            </div>
+          </div>
+          <span className={"text-xs font-semibold " + CHECKLIST_STYLE[status]}>{CHECKLIST_LABEL[status]}</span>
+          {status !== "done" && (
+            <button onClick={() => onComplete(quest)} className={BTN + " px-2 py-1 text-xs"}>+{quest.points}</button>
+          )}
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+/* -------------------- Completion details (deal, notes, tags) -------------------- */
+function fmtMoney(value, currency = "USD") {
+  try { return new Intl.NumberFormat(undefined, { style: "currency", currency, maximumFractionDigits: 0 }).format(value); }
+  catch { return `${Math.round(value)} ${currency}`; }
+}
+
+/**
+ * Asked when completing a quest with `askDeal`, or via 📝 on any quest. Every field
+ * is optional; deal fields only show for quests that ask for them.
+ */
+function CompletionPrompt({ quest, currency, onSubmit, onCancel }) {
+  const [value, setValue] = useState("");
+  const [client, setClient] = useState("");
+  const [notes, setNotes] = useState("");
+  const [tags, setTags] = useState("");
+
+  const submit = (e) => {
+    e.preventDefault();
+    const n = parseFloat(String(value).replace(/[^\d.-]/g, ""));
+    const deal = { ...(Number.isFinite(n) && n >= 0 ? { value: n } : {}), ...(client.trim() ? { client: client.trim() } : {}) };
+    onSubmit({ deal: Object.keys(deal).length ? deal : null, notes: notes.trim(), tags: parseTags(tags) });
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4">
+      <form onSubmit={submit} className="w-full max-w-sm rounded-2xl bg-white dark:bg-gray-900 border border-gray-200 dark:border-gray-700 p-5 shadow-xl flex flex-col gap-3">
+        <h4 className="text-lg font-semibold">{quest.emoji} {quest.title}</h4>
+        {quest.askDeal && (
+          <>
+            <label className="flex flex-col gap-1 text-sm">
+              <span className="opacity-70">Deal value ({currency})</span>
+              <input autoFocus inputMode="decimal" className={CONTROL} value={value} onChange={e=>setValue(e.target.value)} />
+            </label>
+            <label className="flex flex-col gap-1 text-sm">
+              <span className="opacity-70">Client</span>
+              <input className={CONTROL} value={client} onChange={e=>setClient(e.target.value)} />
+            </label>
+          </>
+        )}
+        <label className="flex flex-col gap-1 text-sm">
+          <span className="opacity-70">Notes</span>
+          <textarea autoFocus={!quest.askDeal} rows={2} className={CONTROL} placeholder="Who you spoke to, next steps…" value={notes} onChange={e=>setNotes(e.target.value)} />
+        </label>
+        <label className="flex flex-col gap-1 text-sm">
+          <span className="opacity-70">Tags (comma separated)</span>
+          <input className={CONTROL} placeholder="follow-up, inbound" value={tags} onChange={e=>setTags(e.target.value)} />
+        </label>
+        <div className="flex gap-2 justify-end">
+          <button type="button" onClick={onCancel} className={BTN}>Cancel</button>
+          <button type="submit" className="px-3 py-2 rounded-xl bg-black text-white dark:bg-white dark:text-black">Complete</button>
+        </div>
+      </form>
     </div>
   );
 }
 
 /* -------------------- Quest Editor -------------------- */
 function QuestEditor({ initial, onSave, onCancel }) {
+  const [shared, setShared] = useState(!!initial?.shared);
   const [title, setTitle] = useState(initial?.title || "");
   const [points, setPoints] = useState(initial?.points || 5);
   const [category, setCategory] = useState(initial?.category || "Sales");
   const [emoji, setEmoji] = useState(initial?.emoji || "🎯");
+  const [dailyCap, setDailyCap] = useState(initial?.dailyCap || 0);
+  const [askDeal, setAskDeal] = useState(!!initial?.askDeal);
+  const [repeat, setRepeat] = useState(initial?.schedule?.every || "");
+  const [repeatDay, setRepeatDay] = useState(initial?.schedule?.day ?? 5);
+  const [repeatCount, setRepeatCount] = useState(initial?.schedule?.count || 1);
+  const schedule = () => {
+    if (!repeat) return undefined;
+    const day = repeat === "weekly" ? Number(repeatDay) % 7 : repeat === "monthly" ? clamp(Number(repeatDay) || 1, 1, 28) : undefined;
+    const prev = initial?.schedule;
+    // A changed schedule starts fresh: nothing before today counts as missed
+    const since = prev && prev.every === repeat && prev.day === day ? prev.since : todayISO();
+    return { every: repeat, ...(day !== undefined ? { day } : {}), count: clamp(repeatCount || 1, 1, 100), since };
+  };
   return (
     <div className="p-4 rounded-2xl border shadow-sm bg-white/70 dark:bg-gray-900/70 border-gray-200 dark:border-gray-700 flex flex-col gap-3">
-      <div className="grid grid-cols-1 md:grid-cols-4 gap-3">
+      <div className="grid grid-cols-1 md:grid-cols-5 gap-3">
         <input className={CONTROL} placeholder="Title" value={title} onChange={e=>setTitle(e.target.value)} />
         <input type="number" className={CONTROL} placeholder="Points" value={points} onChange={e=>setPoints(parseInt(e.target.value||0,10))} />
         <select className={CONTROL} value={category} onChange={e=>setCategory(e.target.value)}>
           <option>Sales</option><option>Marketing</option><option>Ops</option><option>Learning</option>
         </select>
         <input className={CONTROL} placeholder="Emoji (optional)" value={emoji} onChange={e=>setEmoji(e.target.value)} />
+        <input
+          type="number"
+          className={CONTROL}
+          placeholder="Daily cap (0 = none)"
+          title="Max points per day from this quest (0 = no cap)"
+          value={dailyCap || ""}
+          onChange={e=>setDailyCap(parseInt(e.target.value||0,10))}
+        />
+      </div>
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <span>Repeats</span>
+        <select className={CONTROL} value={repeat} onChange={e=>{ setRepeat(e.target.value); setRepeatDay(e.target.value === "monthly" ? 1 : 5); }}>
+          <option value="">Not scheduled</option>
+          {Object.entries(SCHEDULE_KINDS).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+        </select>
+        {repeat === "weekly" && (
+          <select className={CONTROL} value={repeatDay} onChange={e=>setRepeatDay(Number(e.target.value))}>
+            {WEEKDAY_NAMES.map((d, i) => <option key={d} value={i}>on {d}</option>)}
+          </select>
+        )}
+        {repeat === "monthly" && (
+          <select className={CONTROL} value={repeatDay} onChange={e=>setRepeatDay(Number(e.target.value))}>
+            {Array.from({ length: 28 }, (_, i) => <option key={i} value={i + 1}>on day {i + 1}</option>)}
+          </select>
+        )}
+        {repeat && (
+          <label className="flex items-center gap-2">
+            expected
+            <input type="number" min="1" className={CONTROL + " w-20"} value={repeatCount} onChange={e=>setRepeatCount(parseInt(e.target.value||1,10))} />
+            × each time
+          </label>
+        )}
       </div>
       <div className="flex gap-2">
         <button
-          onClick={()=>onSave({ ...(initial||{}), id: initial?.id||uid(), title, points: clamp(points||0,0,1000), category, emoji})}
+          onClick={()=>onSave({ ...(initial||{}), id: initial?.id||uid(), title, points: clamp(points||0,0,1000), category, emoji, dailyCap: clamp(dailyCap||0,0,100000), schedule: schedule(), askDeal: askDeal || undefined, shared })}
           className="px-3 py-2 rounded-xl bg-black text-white dark:bg-white dark:text-black"
         >Save</button>
         <button onClick={onCancel} className={BTN}>Cancel</button>
+        <label className="flex items-center gap-2 text-sm ml-auto" title="Ask for a deal value, client and notes on completion">
+          <input type="checkbox" checked={askDeal} onChange={e=>setAskDeal(e.target.checked)} />
+          Deal details
+        </label>
+        <label className="flex items-center gap-2 text-sm" title="Shared quests are part of the team catalog (manager only)">
+          <input type="checkbox" checked={shared} disabled={!!initial?.shared} onChange={e=>setShared(e.target.checked)} />
+          Share with the team
+        </label>
       </div>
     </div>
   );
 }
 
-/* -------------------- History -------------------- */
-function History({ history }) {
-  return (
-    <div className="p-4 rounded-2xl border shadow-sm bg-white/60 dark:bg-gray-900/60 border-gray-200 dark:border-gray-700">
-      <h3 className="font-semibold mb-3">Today's Activity</h3>
-      {history.length === 0 && <div className="text-sm opacity-70">No activity yet. Complete a quest!</div>}
-      <ul className="space-y-2">
-        {history.map(h => (
-          <li key={h.id} className="flex items-center justify-between text-sm">
-            <div className="flex items-center gap-2">
-              <span>{h.emoji || '🎯'}</span>
-              <span className="font-medium">{h.title}</span>
-              <span className="opacity-60">• {new Date(h.timestamp).toLocaleTimeString()}</span>
-            </div>
-            <span className="font-semibold">+{h.points}</span>
-          </li>
-        ))}
-      </ul>
-    </div>
-  );
-}
+/* -------------------- Team quest catalog -------------------- */
+function CatalogPanel({ catalog, onImportFile, onCheckForUpdates, onClose }) {
+  const outbox = useOutbox();
+  const importRef = useRef(null);
+  const [checking, setChecking] = useState(false);
+  const [message, setMessage] = useState("");
+  const queued = outbox.catalog;
 
-/* -------------------- Stats / Badges -------------------- */
-function Stats({ allHistory, streak, level }) {
-  const totals = useMemo(() => {
-    const byDate = {};
-    for (const h of allHistory) byDate[h.date] = (byDate[h.date] || 0) + h.points;
-    const days = Object.keys(byDate).sort();
-    const last7 = days.slice(-7);
-    const sum7 = last7.reduce((s, d) => s + byDate[d], 0);
-    return { sum7 };
-  }, [allHistory]);
-  return (
-    <div className="p-4 rounded-2xl border shadow-sm bg-white/60 dark:bg-gray-900/60 border-gray-200 dark:border-gray-700 flex flex-col gap-2">
-      <h3 className="font-semibold">Stats</h3>
-      <div className="text-sm">Current streak: <span className="font-semibold">{streak}</span> day{streak===1?'':'s'}</div>
-      <div className="text-sm">Level: <span className="font-semibold">{level}</span></div>
-      <div className="text-sm">Last 7 days points: <span className="font-semibold">{totals.sum7}</span></div>
-    </div>
-  );
-}
-function Badges({ allHistory, level, dailyGoal }) {
-  const totalCalls = allHistory.filter(h => /call/i.test(h.title)).length;
-  const deals = allHistory.filter(h => /close a deal/i.test(h.title)).length;
-  const posts = allHistory.filter(h => /LinkedIn post/i.test(h.title)).length;
-  const badges = [
-    { id: 'starter', label: 'Getting Started', earned: allHistory.length >= 1, emoji: '🚀' },
-    { id: 'caller10', label: 'Call Cadet (10 calls)', earned: totalCalls >= 10, emoji: '📞' },
-    { id: 'closer1', label: 'Closer (1 deal)', earned: deals >= 1, emoji: '🤝' },
-    { id: 'creator5', label: 'Content Creator (5 posts)', earned: posts >= 5, emoji: '✍️' },
-    { id: 'level5', label: 'Level 5+', earned: level >= 5, emoji: '🏅' },
-    { id: 'goal100', label: 'Hit 100+ day', earned: dailyGoal >= 100, emoji: '💯' },
-  ];
+  const download = () => {
+    const a = document.createElement("a");
+    a.href = URL.createObjectURL(new Blob([catalogFile(catalog)], { type: "application/json" }));
+    a.download = `sm-game-catalog-v${catalog.version}.json`;
+    a.click();
+    URL.revokeObjectURL(a.href);
+  };
+
+  const check = async () => {
+    setChecking(true);
+    setMessage("");
+    try { setMessage(await onCheckForUpdates()); }
+    catch (err) { setMessage(`Could not check: ${err?.message || err}`); }
+    finally { setChecking(false); }
+  };
 
   return (
-    <div className="p-4 rounded-2xl border shadow-sm bg-white/60 dark:bg-gray-900/60 border-gray-200 dark:border-gray-700">
-      <h3 className="font-semibold mb-2">Badges</h3>
+    <div className="p-4 rounded-2xl border shadow-sm bg-white/70 dark:bg-gray-900/70 border-gray-200 dark:border-gray-700 flex flex-col gap-3 text-sm">
+      <div className="flex items-center justify-between">
+        <h2 className="text-lg font-semibold">Team quest catalog · v{catalog.version}</h2>
+        <button onClick={onClose} className={BTN + " px-2 py-1 text-xs"}>Close</button>
+      </div>
+      <p className="text-xs opacity-70">
+        {catalog.quests.length} shared quest{catalog.quests.length === 1 ? "" : "s"}
+        {catalog.publishedAt ? `, published ${new Date(catalog.publishedAt).toLocaleString()}` : " (built-in defaults)"}.
+        Every profile on this device uses them alongside its own quests; only the manager can change them.
+      </p>
+      {queued && (
+        <div className="text-xs text-amber-700 dark:text-amber-300">
+          v{queued.payload?.version} is waiting to be published to the sheet{queued.lastError ? ` (${queued.lastError})` : ""}.
+        </div>
+      )}
       <div className="flex flex-wrap gap-2">
-        {badges.map(b => (
-          <div key={b.id} className={`px-3 py-2 rounded-xl border shadow-sm text-sm ${b.earned ? 'bg-amber-100 dark:bg-amber-900/40' : 'opacity-70'} border-gray-300 dark:border-gray-600`}>
-            <span className="mr-1">{b.emoji}</span>{b.label}
-          </div>
-        ))}
+        {isBackendConfigured() && (
+          <button onClick={check} disabled={checking} className={BTN + " disabled:opacity-50"}>{checking ? "Checking…" : "Check for updates"}</button>
+        )}
+        <button onClick={download} className={BTN}>Export JSON</button>
+        <button onClick={()=>importRef.current?.click()} className={BTN}>Import JSON</button>
+        <input
+          ref={importRef}
+          type="file"
+          accept="application/json,.json"
+          className="hidden"
+          onChange={(e)=>{ const f = e.target.files?.[0]; e.target.value = ""; if (f) onImportFile(f); }}
+        />
       </div>
+      {message && <div className="text-xs opacity-80">{message}</div>}
     </div>
   );
 }
 
-/* -------------------- Timer (with repeating alarm) -------------------- */
-function Timer({ settings, onTimerComplete }) {
-  const [mode, setMode] = useState('work'); // work | short | long
-  const [seconds, setSeconds] = useState(settings.pomodoroMinutes * 60);
-  const [running, setRunning] = useState(false);
+/* -------------------- Scoring rules editor -------------------- */
+function QuestMatchSelect({ quests, value, onChange, allowAny = true }) {
+  return (
+    <select className={CONTROL + " py-1"} value={value || ""} onChange={e=>onChange(e.target.value)}>
+      {allowAny && <option value="">Any quest</option>}
+      {!allowAny && <option value="">— quest —</option>}
+      {quests.map(q => <option key={q.id} value={q.id}>{q.emoji} {q.title}</option>)}
+    </select>
+  );
+}
 
-  // in-app modal
-  const [showModal, setShowModal] = useState(false);
-  const [modalText, setModalText] = useState({ title: "", body: "" });
+function ScoringRulesEditor({ rules, quests, timerPoints, onChange, onChangeTimerPoints, onClose }) {
+  const [newType, setNewType] = useState("window");
+  const categories = Array.from(new Set(quests.map(q => q.category)));
+  const update = (id, patch) => onChange(rules.map(r => r.id === id ? { ...r, ...patch } : r));
+  const remove = (id) => onChange(rules.filter(r => r.id !== id));
+  const num = (v) => { const n = parseFloat(v); return Number.isFinite(n) ? n : 0; };
 
-  // alarm refs
-  const alarmIntervalRef = useRef(null);
+  return (
+    <div className="p-4 rounded-2xl border shadow-sm bg-white/70 dark:bg-gray-900/70 border-gray-200 dark:border-gray-700 flex flex-col gap-3">
+      <div className="flex items-center justify-between">
+        <h2 className="text-lg font-semibold">Scoring rules</h2>
+        <button onClick={onClose} className={BTN + " px-2 py-1 text-xs"}>Close</button>
+      </div>
+      <p className="text-xs opacity-70">Applied on top of base points in this order: revenue tiers (entries with a deal value), time windows, diminishing returns, combos, then each quest's daily cap.</p>
+
+      {rules.length === 0 && <div className="text-sm opacity-70">No rules yet — every completion earns its base points.</div>}
+      <ul className="space-y-3">
+        {rules.map(r => (
+          <li key={r.id} className="flex flex-wrap items-center gap-2 text-sm border-t border-gray-200 dark:border-gray-700 pt-2">
+            <input type="checkbox" checked={r.enabled !== false} onChange={e=>update(r.id, { enabled: e.target.checked })} title="Enabled" />
+            <input className={CONTROL + " py-1 w-40"} value={r.label} onChange={e=>update(r.id, { label: e.target.value })} />
+            <span className="text-xs opacity-70">{RULE_TYPES[r.type]}</span>
+
+            {(r.type === "window" || r.type === "diminishing" || r.type === "revenue") && (
+              <>
+                <QuestMatchSelect quests={quests} value={r.match?.questId} onChange={v=>update(r.id, { match: { ...r.match, questId: v } })} />
+                <select className={CONTROL + " py-1"} value={r.match?.category || ""} onChange={e=>update(r.id, { match: { ...r.match, category: e.target.value } })}>
+                  <option value="">Any category</option>
+                  {categories.map(c => <option key={c}>{c}</option>)}
+                </select>
+              </>
+            )}
+            {r.type === "window" && (
+              <>
+                <input type="time" className={CONTROL + " py-1"} value={r.from} onChange={e=>update(r.id, { from: e.target.value })} />
+                <span>–</span>
+                <input type="time" className={CONTROL + " py-1"} value={r.to} onChange={e=>update(r.id, { to: e.target.value })} />
+                <span>×</span>
+                <input className={CONTROL + " py-1 w-16"} inputMode="decimal" value={r.multiplier} onChange={e=>update(r.id, { multiplier: num(e.target.value) })} />
+              </>
+            )}
+            {r.type === "diminishing" && (
+              <>
+                <span>after</span>
+                <input className={CONTROL + " py-1 w-16"} inputMode="numeric" value={r.after} onChange={e=>update(r.id, { after: Math.max(0, Math.round(num(e.target.value))) })} />
+                <span>per day ×</span>
+                <input className={CONTROL + " py-1 w-16"} inputMode="decimal" value={r.factor} onChange={e=>update(r.id, { factor: num(e.target.value) })} />
+              </>
+            )}
+            {r.type === "revenue" && (
+              <div className="w-full flex flex-wrap items-center gap-2 pl-6">
+                {(r.tiers || []).map((t, i) => (
+                  <span key={i} className="flex items-center gap-1">
+                    <span>≥</span>
+                    <input className={CONTROL + " py-1 w-24"} inputMode="numeric" value={t.min}
+                      onChange={e=>update(r.id, { tiers: r.tiers.map((x, j) => j === i ? { ...x, min: Math.max(0, num(e.target.value)) } : x) })} />
+                    <span>×</span>
+                    <input className={CONTROL + " py-1 w-16"} inputMode="decimal" value={t.multiplier}
+                      onChange={e=>update(r.id, { tiers: r.tiers.map((x, j) => j === i ? { ...x, multiplier: num(e.target.value) } : x) })} />
+                    <button onClick={()=>update(r.id, { tiers: r.tiers.filter((_, j) => j !== i) })} className="text-xs opacity-70" aria-label="Remove tier">✕</button>
+                  </span>
+                ))}
+                <button onClick={()=>update(r.id, { tiers: [...(r.tiers || []), { min: 0, multiplier: 1 }] })} className={BTN + " px-2 py-1 text-xs"}>+ Tier</button>
+              </div>
+            )}
+            {r.type === "combo" && (
+              <>
+                <QuestMatchSelect quests={quests} allowAny={false} value={r.first} onChange={v=>update(r.id, { first: v })} />
+                <span>→</span>
+                <QuestMatchSelect quests={quests} allowAny={false} value={r.then} onChange={v=>update(r.id, { then: v })} />
+                <span>within</span>
+                <input className={CONTROL + " py-1 w-16"} inputMode="numeric" value={r.withinMinutes} onChange={e=>update(r.id, { withinMinutes: Math.max(0, Math.round(num(e.target.value))) })} />
+                <span>min +</span>
+                <input className={CONTROL + " py-1 w-16"} inputMode="numeric" value={r.bonus} onChange={e=>update(r.id, { bonus: Math.round(num(e.target.value)) })} />
+              </>
+            )}
+            <button onClick={()=>remove(r.id)} className={BTN + " px-2 py-1 text-xs ml-auto"}>Del</button>
+          </li>
+        ))}
+      </ul>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <select className={CONTROL} value={newType} onChange={e=>setNewType(e.target.value)}>
+          {Object.entries(RULE_TYPES).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+        </select>
+        <button onClick={()=>onChange([...rules, makeRule(newType)])} className={BTN}>+ Add rule</button>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 text-sm border-t border-gray-200 dark:border-gray-700 pt-3">
+        <span>Focus timer base points:</span>
+        {["work", "short", "long"].map(m => (
+          <label key={m} className="flex items-center gap-1">
+            <span className="capitalize">{m}</span>
+            <input
+              className={CONTROL + " py-1 w-16"}
+              inputMode="numeric"
+              value={timerPoints[m]}
+              onChange={e=>onChangeTimerPoints({ ...timerPoints, [m]: clamp(Math.round(num(e.target.value)), 0, 1000) })}
+            />
+          </label>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+/* -------------------- CRM integration -------------------- */
+const CRM_POLL_MS = 60 * 1000;
+
+function CrmPanel({ config, quests, profiles, inboxCount, onChangeConfig, onCheckNow, onImportFile, onClose }) {
+  const importRef = useRef(null);
+  const [receiverUrl, setReceiverUrl] = useState(config.receiverUrl);
+  const [owner, setOwner] = useState("");
+  const [ownerPerson, setOwnerPerson] = useState(profiles[0] || "");
+  const [checking, setChecking] = useState(false);
+  const [message, setMessage] = useState("");
+
+  const run = async (fn) => {
+    setChecking(true);
+    setMessage("");
+    try { setMessage(await fn()); }
+    catch (err) { setMessage(`Failed: ${err?.message || err}`); }
+    finally { setChecking(false); }
+  };
+  const setMapping = (type, questId) => onChangeConfig({ ...config, mapping: { ...config.mapping, [type]: questId } });
+  const addOwner = () => {
+    if (!owner.trim() || !ownerPerson) return;
+    onChangeConfig({ ...config, owners: { ...config.owners, [owner.trim()]: ownerPerson } });
+    setOwner("");
+  };
+  const removeOwner = (key) => {
+    const { [key]: _, ...owners } = config.owners;
+    onChangeConfig({ ...config, owners });
+  };
+
+  return (
+    <div className="p-4 rounded-2xl border shadow-sm bg-white/70 dark:bg-gray-900/70 border-gray-200 dark:border-gray-700 flex flex-col gap-3 text-sm">
+      <div className="flex items-center justify-between">
+        <h2 className="text-lg font-semibold">CRM integration</h2>
+        <button onClick={onClose} className={BTN + " px-2 py-1 text-xs"}>Close</button>
+      </div>
+      <p className="text-xs opacity-70">
+        Calls, meetings and won deals from HubSpot or Pipedrive webhooks become quest completions. Import a JSON file of
+        webhook payloads or run the local receiver (<code>npm run crm:receiver</code>). Each CRM record is only counted once.
+      </p>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <input className={CONTROL + " flex-1 min-w-[14rem]"} placeholder="Receiver URL, e.g. http://localhost:8787" value={receiverUrl} onChange={e=>setReceiverUrl(e.target.value)} />
+        <button onClick={()=>onChangeConfig({ ...config, receiverUrl: receiverUrl.trim(), cursor: 0 })} className={BTN}>Save</button>
+        {config.receiverUrl && (
+          <button onClick={()=>run(onCheckNow)} disabled={checking} className={BTN + " disabled:opacity-50"}>{checking ? "Checking…" : "Check now"}</button>
+        )}
+        <button onClick={()=>importRef.current?.click()} className={BTN}>Import JSON</button>
+        <input
+          ref={importRef}
+          type="file"
+          accept="application/json,.json"
+          className="hidden"
+          onChange={(e)=>{ const f = e.target.files?.[0]; e.target.value = ""; if (f) run(()=>onImportFile(f)); }}
+        />
+      </div>
+      {message && <div className="text-xs opacity-80">{message}</div>}
+      {inboxCount > 0 && (
+        <div className="text-xs text-amber-700 dark:text-amber-300">
+          {inboxCount} event{inboxCount === 1 ? " is" : "s are"} waiting for another person on this device, an owner mapping or a quest.
+        </div>
+      )}
+
+      <section>
+        <h4 className="font-semibold mb-2">Events → quests</h4>
+        <div className="grid sm:grid-cols-3 gap-2">
+          {Object.entries(CRM_EVENT_TYPES).map(([type, label]) => (
+            <label key={type} className="flex flex-col gap-1">
+              <span className="text-xs opacity-70">{label}</span>
+              <QuestMatchSelect quests={quests} value={config.mapping[type]} onChange={(v)=>setMapping(type, v)} allowAny={false} />
+            </label>
+          ))}
+        </div>
+      </section>
+
+      <section>
+        <h4 className="font-semibold mb-1">CRM owners → people</h4>
+        <p className="text-xs opacity-70 mb-2">Without any owners listed, every event goes to whoever is selected.</p>
+        <ul className="space-y-1 mb-2">
+          {Object.entries(config.owners).map(([key, name]) => (
+            <li key={key} className="flex items-center gap-2">
+              <code className="flex-1 truncate">{key}</code>
+              <span>→ {name}</span>
+              <button onClick={()=>removeOwner(key)} className={BTN + " px-2 py-1 text-xs"} aria-label={`Remove owner ${key}`}>✕</button>
+            </li>
+          ))}
+        </ul>
+        <div className="flex flex-wrap items-center gap-2">
+          <input className={CONTROL + " flex-1"} placeholder="CRM user id or owner name" value={owner} onChange={e=>setOwner(e.target.value)} />
+          <select className={CONTROL} value={ownerPerson} onChange={e=>setOwnerPerson(e.target.value)}>
+            {profiles.map(p => <option key={p}>{p}</option>)}
+          </select>
+          <button onClick={addOwner} className={BTN}>+ Add</button>
+        </div>
+      </section>
+    </div>
+  );
+}
+
+/* -------------------- Sync status (outbox) -------------------- */
+function useOutbox() {
+  const [box, setBox] = useState(getOutbox);
+  useEffect(() => subscribeOutbox(setBox), []);
+  return box;
+}
+
+const SYNC_BADGE = {
+  synced: { label: "synced", cls: "bg-green-100 text-green-800 dark:bg-green-900/40 dark:text-green-200" },
+  pending: { label: "pending", cls: "bg-amber-100 text-amber-800 dark:bg-amber-900/40 dark:text-amber-200" },
+  failed: { label: "failed", cls: "bg-red-100 text-red-800 dark:bg-red-900/40 dark:text-red-200" },
+};
+
+function SyncBadge({ status, title }) {
+  const b = SYNC_BADGE[status] || SYNC_BADGE.synced;
+  return <span title={title} className={`px-2 py-0.5 rounded-full text-xs ${b.cls}`}>{b.label}</span>;
+}
+
+/* -------------------- History -------------------- */
+function HistoryRowEditor({ entry, onSave, onCancel }) {
+  const [title, setTitle] = useState(entry.title);
+  const [points, setPoints] = useState(String(entry.points));
+  const [category, setCategory] = useState(entry.category || "General");
+  const [dealValue, setDealValue] = useState(entry.deal?.value ?? "");
+  const [client, setClient] = useState(entry.deal?.client || "");
+  const [notes, setNotes] = useState(entry.notes || "");
+  const [tags, setTags] = useState((entry.tags || []).join(", "));
+  const save = () => {
+    const n = parseInt(points, 10);
+    const nextPoints = clamp(Number.isFinite(n) ? n : entry.points, 0, 1000);
+    const patch = { title: title.trim() || entry.title, points: nextPoints, category, notes: notes.trim() || undefined };
+    const nextTags = parseTags(tags);
+    patch.tags = nextTags.length ? nextTags : undefined;
+    if (entry.deal) {
+      const v = parseFloat(dealValue);
+      const { value, client: _, ...rest } = entry.deal;
+      patch.deal = { ...rest, ...(Number.isFinite(v) && v >= 0 ? { value: v } : {}), ...(client.trim() ? { client: client.trim() } : {}) };
+    }
+    // A manual points correction replaces whatever the rules computed
+    if (nextPoints !== entry.points) Object.assign(patch, { basePoints: nextPoints, rules: [] });
+    onSave(patch);
+  };
+  return (
+    <li className="flex flex-wrap items-center gap-2 text-sm">
+      <input className={CONTROL + " flex-1 min-w-[8rem]"} value={title} onChange={e=>setTitle(e.target.value)} />
+      <input className={CONTROL + " w-20"} inputMode="numeric" value={points} onChange={e=>setPoints(e.target.value)} />
+      <select className={CONTROL} value={category} onChange={e=>setCategory(e.target.value)}>
+        {Array.from(new Set(["Sales", "Marketing", "Ops", "Learning", "General", category])).map(c => <option key={c}>{c}</option>)}
+      </select>
+      {entry.deal && (
+        <>
+          <input className={CONTROL + " w-28"} inputMode="decimal" placeholder="Deal value" value={dealValue} onChange={e=>setDealValue(e.target.value)} />
+          <input className={CONTROL + " w-32"} placeholder="Client" value={client} onChange={e=>setClient(e.target.value)} />
+        </>
+      )}
+      <input className={CONTROL + " w-full"} placeholder="Notes" value={notes} onChange={e=>setNotes(e.target.value)} />
+      <input className={CONTROL + " flex-1 min-w-[8rem]"} placeholder="Tags (comma separated)" value={tags} onChange={e=>setTags(e.target.value)} />
+      <button onClick={save} className="px-2 py-1 rounded-xl bg-black text-white dark:bg-white dark:text-black">Save</button>
+      <button onClick={onCancel} className={BTN + " px-2 py-1"}>Cancel</button>
+    </li>
+  );
+}
+
+function HistoryRow({ entry: h, outbox, currency, showDate, onEdit, onDelete }) {
+  return (
+    <li className="flex items-center justify-between gap-2 text-sm">
+      <div className="flex items-center gap-2 flex-wrap">
+        <span>{h.emoji || '🎯'}</span>
+        <span className="font-medium">{h.title}</span>
+        <span className="opacity-60">• {showDate ? `${fmtDay(h.date)} ` : ""}{new Date(h.timestamp).toLocaleTimeString()}</span>
+        <SyncBadge status={syncStatusOf(outbox, h.id)} title={outbox[h.id]?.lastError || ""} />
+        {h.tags?.map(t => (
+          <span key={t} className="px-2 py-0.5 rounded-full border border-gray-300 dark:border-gray-600 text-xs">#{t}</span>
+        ))}
+        {h.rules?.length > 0 && (
+          <span className="w-full text-xs opacity-70">base {h.basePoints} • {describeRules(h.rules)}</span>
+        )}
+        {h.deal && (
+          <span className="w-full text-xs opacity-70">
+            💰 {[h.deal.value != null && fmtMoney(h.deal.value, currency), h.deal.client, h.deal.notes].filter(Boolean).join(" • ")}
+          </span>
+        )}
+        {h.notes && <span className="w-full text-xs opacity-80 whitespace-pre-line">📝 {h.notes}</span>}
+      </div>
+      <div className="flex items-center gap-2">
+        <span className="font-semibold">+{h.points}</span>
+        <button onClick={onEdit} className={BTN + " px-2 py-1 text-xs"}>Edit</button>
+        <button
+          onClick={() => { if (confirm(`Delete "${h.title}" (+${h.points})?`)) onDelete(); }}
+          className={BTN + " px-2 py-1 text-xs"}
+        >Del</button>
+      </div>
+    </li>
+  );
+}
+
+function HistoryList({ entries, outbox, currency, showDate, onUpdateEntry, onDeleteEntry }) {
+  const [editingId, setEditingId] = useState(null);
+  return (
+    <ul className="space-y-2">
+      {entries.map(h => editingId === h.id ? (
+        <HistoryRowEditor
+          key={h.id}
+          entry={h}
+          onSave={(patch) => { onUpdateEntry(h.id, patch); setEditingId(null); }}
+          onCancel={() => setEditingId(null)}
+        />
+      ) : (
+        <HistoryRow
+          key={h.id}
+          entry={h}
+          outbox={outbox}
+          currency={currency}
+          showDate={showDate}
+          onEdit={() => setEditingId(h.id)}
+          onDelete={() => onDeleteEntry(h.id)}
+        />
+      ))}
+    </ul>
+  );
+}
+
+function History({ history, currency = "USD", onUpdateEntry, onDeleteEntry, onBrowse }) {
+  const outbox = useOutbox();
+  const [syncing, setSyncing] = useState(false);
+  const unsynced = Object.keys(activityItems(outbox)).length;
+
+  const syncNow = async () => {
+    setSyncing(true);
+    try { await flushOutbox({ force: true }); }
+    finally { setSyncing(false); }
+  };
+
+  return (
+    <div className="p-4 rounded-2xl border shadow-sm bg-white/60 dark:bg-gray-900/60 border-gray-200 dark:border-gray-700">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="font-semibold">Today's Activity</h3>
+        <div className="flex items-center gap-2 text-xs">
+          <span className="opacity-70">{unsynced ? `${unsynced} unsynced` : "All synced"}</span>
+          <button onClick={syncNow} disabled={syncing || !unsynced} className={BTN + " px-2 py-1 disabled:opacity-50"}>
+            {syncing ? "Syncing…" : "Sync now"}
+          </button>
+          <button onClick={onBrowse} className={BTN + " px-2 py-1"}>🔎 All history</button>
+        </div>
+      </div>
+      {history.length === 0 && <div className="text-sm opacity-70">No activity yet. Complete a quest!</div>}
+      <HistoryList entries={history} outbox={outbox} currency={currency} onUpdateEntry={onUpdateEntry} onDeleteEntry={onDeleteEntry} />
+    </div>
+  );
+}
+
+/* -------------------- History browser -------------------- */
+function HistoryBrowser({ history, quests, filter, currency, onChangeFilter, onUpdateEntry, onDeleteEntry, onExport, onClose }) {
+  const outbox = useOutbox();
+  const [page, setPage] = useState(0);
+  const categories = useMemo(() => Array.from(new Set(history.map(h => h.category || "General"))).sort(), [history]);
+  const tags = useMemo(() => allTags(history), [history]);
+  const matching = useMemo(() => filterHistory(history, filter), [history, filter]);
+  const view = paginate(matching, page);
+  const points = matching.reduce((s, h) => s + (h.points || 0), 0);
+  const set = (patch) => { onChangeFilter({ ...filter, ...patch }); setPage(0); };
+
+  return (
+    <div className="p-4 rounded-2xl border shadow-sm bg-white/70 dark:bg-gray-900/70 border-gray-200 dark:border-gray-700 flex flex-col gap-3 text-sm">
+      <div className="flex items-center justify-between">
+        <h2 className="text-lg font-semibold">History</h2>
+        <div className="flex gap-2">
+          <button onClick={onExport} className={BTN + " px-2 py-1 text-xs"}>Export CSV</button>
+          <button onClick={onClose} className={BTN + " px-2 py-1 text-xs"}>Close</button>
+        </div>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <input className={CONTROL + " flex-1 min-w-[10rem]"} placeholder="Search titles, notes, clients, tags" value={filter.q} onChange={e=>set({ q: e.target.value })} />
+        <input type="date" className={CONTROL} value={filter.from} onChange={e=>set({ from: e.target.value })} aria-label="From" />
+        <span>–</span>
+        <input type="date" className={CONTROL} value={filter.to} onChange={e=>set({ to: e.target.value })} aria-label="To" />
+      </div>
+      <div className="flex flex-wrap items-center gap-2">
+        <select className={CONTROL} value={filter.category} onChange={e=>set({ category: e.target.value })}>
+          <option value="">Any category</option>
+          {categories.map(c => <option key={c}>{c}</option>)}
+        </select>
+        <QuestMatchSelect quests={quests} value={filter.questId} onChange={v=>set({ questId: v })} />
+        <select className={CONTROL} value={filter.tag} onChange={e=>set({ tag: e.target.value })}>
+          <option value="">Any tag</option>
+          {tags.map(t => <option key={t} value={t}>#{t}</option>)}
+        </select>
+        {isFilterActive(filter) && <button onClick={()=>set(EMPTY_FILTER)} className={BTN + " px-2 py-1 text-xs"}>Clear filters</button>}
+      </div>
+
+      <div className="text-xs opacity-70">
+        {matching.length} entr{matching.length === 1 ? "y" : "ies"} • {points} pts{isFilterActive(filter) && " • exports use this filter"}
+      </div>
+      {matching.length === 0 && <div className="opacity-70">Nothing matches.</div>}
+      <HistoryList entries={view.rows} outbox={outbox} currency={currency} showDate onUpdateEntry={onUpdateEntry} onDeleteEntry={onDeleteEntry} />
+
+      {view.pages > 1 && (
+        <div className="flex items-center justify-center gap-2">
+          <button onClick={()=>setPage(view.page - 1)} disabled={view.page === 0} className={BTN + " px-2 py-1 text-xs disabled:opacity-50"}>← Newer</button>
+          <span className="text-xs opacity-70">Page {view.page + 1} of {view.pages}</span>
+          <button onClick={()=>setPage(view.page + 1)} disabled={view.page >= view.pages - 1} className={BTN + " px-2 py-1 text-xs disabled:opacity-50"}>Older →</button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/* -------------------- Stats / Badges -------------------- */
+const WEEKDAY_SHORT = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+function StreakSettings({ settings, onChange }) {
+  const [holiday, setHoliday] = useState("");
+  const workDays = settings.workDays || [];
+  const holidays = settings.holidays || [];
+  const toggleDay = (d) => onChange({ workDays: workDays.includes(d) ? workDays.filter(x => x !== d) : [...workDays, d].sort() });
+  const addHoliday = () => {
+    if (!holiday || holidays.includes(holiday)) return;
+    onChange({ holidays: [...holidays, holiday].sort() });
+    setHoliday("");
+  };
+
+  return (
+    <div className="mt-2 pt-3 border-t border-gray-200 dark:border-gray-700 flex flex-col gap-3 text-sm">
+      <div>
+        <div className="opacity-70 mb-1">Working days (only these can break a streak)</div>
+        <div className="flex flex-wrap gap-1">
+          {[1, 2, 3, 4, 5, 6, 0].map(d => (
+            <button
+              key={d}
+              onClick={()=>toggleDay(d)}
+              className={TAB_BTN + " px-2 py-1" + (workDays.includes(d) ? " !bg-black !text-white dark:!bg-white dark:!text-black" : "")}
+            >{WEEKDAY_SHORT[d]}</button>
+          ))}
+        </div>
+      </div>
+      <div>
+        <div className="opacity-70 mb-1">Holidays</div>
+        <div className="flex gap-2">
+          <input type="date" className={CONTROL} value={holiday} onChange={e=>setHoliday(e.target.value)} />
+          <button onClick={addHoliday} className={BTN}>Add</button>
+        </div>
+        {holidays.length > 0 && (
+          <ul className="flex flex-wrap gap-1 mt-2">
+            {holidays.map(h => (
+              <li key={h} className="px-2 py-0.5 rounded-full border border-gray-300 dark:border-gray-600 text-xs">
+                {h} <button onClick={()=>onChange({ holidays: holidays.filter(x => x !== h) })} aria-label={`Remove ${h}`}>✕</button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+      <div className="flex flex-wrap items-center gap-2">
+        <span>Earn a 🧊 freeze every</span>
+        <input type="number" min="0" className={CONTROL + " w-16 py-1"} value={settings.freezeEarnEvery ?? 0}
+          onChange={e=>onChange({ freezeEarnEvery: clamp(Math.round(Number(e.target.value) || 0), 0, 365) })} />
+        <span>goal days, hold up to</span>
+        <input type="number" min="0" className={CONTROL + " w-16 py-1"} value={settings.freezeMax ?? 0}
+          onChange={e=>onChange({ freezeMax: clamp(Math.round(Number(e.target.value) || 0), 0, 10) })} />
+      </div>
+    </div>
+  );
+}
+
+function Stats({ allHistory, state, onChangeSettings, onOpenAnalytics, onOpenReminders }) {
+  const { streak, longestStreak = 0, freezeTokens = 0, frozenDates = [], level } = state;
+  const [showStreakSettings, setShowStreakSettings] = useState(false);
+  const totals = useMemo(() => {
+    // Calendar days (today and the 6 before it), not the last 7 days that happen to have data
+    const sum7 = dailyPoints(allHistory, 7).reduce((s, d) => s + d.points, 0);
+    return { sum7 };
+  }, [allHistory]);
+  return (
+    <div className="p-4 rounded-2xl border shadow-sm bg-white/60 dark:bg-gray-900/60 border-gray-200 dark:border-gray-700 flex flex-col gap-2">
+      <div className="flex items-center justify-between">
+        <h3 className="font-semibold">Stats</h3>
+        <div className="flex gap-2">
+          <button onClick={onOpenReminders} className={BTN + " px-2 py-1 text-xs"}>🔔 Reminders</button>
+          <button onClick={onOpenAnalytics} className={BTN + " px-2 py-1 text-xs"}>📊 Analytics</button>
+        </div>
+      </div>
+      <div className="text-sm">
+        Current streak: <span className="font-semibold">{streak}</span> day{streak===1?'':'s'}
+        <span className="opacity-70"> · longest {longestStreak}</span>
+      </div>
+      <div className="text-sm" title={frozenDates.length ? `Frozen days: ${frozenDates.join(", ")}` : undefined}>
+        Freeze tokens: <span className="font-semibold">{"🧊".repeat(freezeTokens) || "0"}</span>
+        {frozenDates.length > 0 && <span className="opacity-70"> · {frozenDates.length} day{frozenDates.length===1?'':'s'} saved</span>}
+      </div>
+      <div className="text-sm">Level: <span className="font-semibold">{level}</span></div>
+      <div className="text-sm">Last 7 days points: <span className="font-semibold">{totals.sum7}</span></div>
+      <button onClick={()=>setShowStreakSettings(v=>!v)} className="text-xs underline opacity-70 self-start">
+        {showStreakSettings ? "Hide" : "Streak settings"}
+      </button>
+      {showStreakSettings && <StreakSettings settings={state.settings} onChange={onChangeSettings} />}
+    </div>
+  );
+}
+
+/* -------------------- Reminders -------------------- */
+const REMINDER_TICK_MS = 60 * 1000;
+const REMINDER_NOTIFY_OPTIONS = { icon: "/icons/icon-192.png", badge: "/icons/icon-192.png" };
+const reminderTag = (id) => `reminder:${id}`;
+const questLink = (questId) => questId ? `/?quest=${encodeURIComponent(questId)}` : "/";
+/** Notification options for a planned reminder ({ reminder, message }). */
+const reminderOptions = ({ reminder, message }) => ({
+  ...REMINDER_NOTIFY_OPTIONS,
+  body: message.body,
+  tag: reminderTag(reminder.id),
+  data: { url: questLink(message.questId), questId: message.questId },
+});
+
+function RemindersPanel({ settings, quests, onChange, onClose }) {
+  const reminders = settings.reminders || [];
+  const quiet = settings.quietHours || { from: "", to: "" };
+  const [permission, setPermission] = useState(() => notificationsSupported() ? Notification.permission : "unsupported");
+  const update = (id, patch) => onChange({ reminders: reminders.map(r => r.id === id ? { ...r, ...patch } : r) });
+
+  return (
+    <div className="p-4 rounded-2xl border shadow-sm bg-white/70 dark:bg-gray-900/70 border-gray-200 dark:border-gray-700 flex flex-col gap-3 text-sm">
+      <div className="flex items-center justify-between">
+        <h3 className="font-semibold">Reminders</h3>
+        <button onClick={onClose} className={BTN + " px-2 py-1 text-xs"}>Close</button>
+      </div>
+      {permission === "unsupported" && <div className="text-xs opacity-70">This browser can't show system notifications; reminders appear in the app.</div>}
+      {permission === "denied" && <div className="text-xs opacity-70">Notifications are blocked for this site; reminders appear in the app only.</div>}
+      {permission === "default" && (
+        <button onClick={()=>requestNotifyPermission().then(setPermission)} className={BTN + " self-start"}>Enable notifications</button>
+      )}
+      {reminders.length === 0 && <div className="opacity-70">No reminders yet.</div>}
+      <ul className="flex flex-col gap-2">
+        {reminders.map(r => (
+          <li key={r.id} className="flex flex-wrap items-center gap-2">
+            <input type="checkbox" checked={!!r.enabled} onChange={e=>update(r.id, { enabled: e.target.checked })} aria-label="Enabled" />
+            <select className={CONTROL + " py-1"} value={r.type} onChange={e=>update(r.id, { type: e.target.value })}>
+              {Object.entries(REMINDER_TYPES).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+            </select>
+            <span className="opacity-70">at</span>
+            <input type="time" className={CONTROL + " py-1"} value={r.time} onChange={e=>e.target.value && update(r.id, { time: e.target.value })} />
+            <select className={CONTROL + " py-1 max-w-[10rem]"} value={r.questId || ""} onChange={e=>update(r.id, { questId: e.target.value || undefined })} title="Quest the reminder opens">
+              <option value="">Auto quest</option>
+              {quests.map(q => <option key={q.id} value={q.id}>{q.emoji || '🎯'} {q.title}</option>)}
+            </select>
+            <button onClick={()=>onChange({ reminders: reminders.filter(x => x.id !== r.id) })} className={BTN + " px-2 py-1 text-xs"}>Remove</button>
+          </li>
+        ))}
+      </ul>
+      <button onClick={()=>onChange({ reminders: [...reminders, makeReminder()] })} className={BTN + " self-start"}>+ Add reminder</button>
+      <div className="flex flex-wrap items-center gap-2 pt-3 border-t border-gray-200 dark:border-gray-700">
+        <span>Quiet hours</span>
+        <input type="time" className={CONTROL + " py-1"} value={quiet.from} onChange={e=>onChange({ quietHours: { ...quiet, from: e.target.value } })} />
+        <span className="opacity-70">to</span>
+        <input type="time" className={CONTROL + " py-1"} value={quiet.to} onChange={e=>onChange({ quietHours: { ...quiet, to: e.target.value } })} />
+      </div>
+      <label className="flex items-center gap-2">
+        <input type="checkbox" checked={settings.reminderSound !== false} onChange={e=>onChange({ reminderSound: e.target.checked })} />
+        Play a sound
+      </label>
+      <div className="text-xs opacity-70">
+        Each reminder goes out once a day, on working days (see Streak settings), and only while it still applies.
+        "Auto quest" picks the quest most likely to help right now.
+        Reminders only fire while this app is open in a tab (a background tab is fine); with it closed they are
+        missed, and any still relevant show up when you next open it.
+      </div>
+    </div>
+  );
+}
+
+function ReminderToast({ message, onOpen, onClose }) {
+  return (
+    <div role="status" className="fixed top-4 right-4 z-40 max-w-sm flex items-start gap-3 px-4 py-3 rounded-2xl shadow-lg bg-gray-900 text-white dark:bg-gray-100 dark:text-gray-900 text-sm">
+      <span aria-hidden>🔔</span>
+      <div className="flex-1">
+        <div className="font-semibold">{message.title}</div>
+        {message.body && <div className="opacity-80">{message.body}</div>}
+        {message.questId && <button onClick={onOpen} className="font-semibold underline mt-1">Go to quest</button>}
+      </div>
+      <button onClick={onClose} aria-label="Dismiss" className="opacity-70">✕</button>
+    </div>
+  );
+}
+/* -------------------- Pipeline / revenue -------------------- */
+const REVENUE_RANGES = { season: "This season", month: "Last 30 days", all: "All time" };
+
+function RevenuePanel({ history, seasonStart, currency, onChangeCurrency }) {
+  const [range, setRange] = useState("season");
+  const rows = useMemo(() => {
+    const inRange = range === "all" ? history
+      : range === "month" ? inLastDays(history, 30)
+      : history.filter(h => !seasonStart || h.date >= seasonStart);
+    return { quests: dealsByQuest(inRange), clients: topClients(inRange) };
+  }, [history, range, seasonStart]);
+
+  return (
+    <div className="p-4 rounded-2xl border shadow-sm bg-white/60 dark:bg-gray-900/60 border-gray-200 dark:border-gray-700 flex flex-col gap-2 text-sm">
+      <div className="flex items-center justify-between gap-2">
+        <h3 className="font-semibold">Pipeline &amp; revenue</h3>
+        <select className={CONTROL + " py-1 text-xs"} value={range} onChange={e=>setRange(e.target.value)}>
+          {Object.entries(REVENUE_RANGES).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+        </select>
+      </div>
+      {rows.quests.length === 0 && <div className="opacity-70">No deal values logged {range === "all" ? "yet" : "in this period"}.</div>}
+      <ul className="space-y-1">
+        {rows.quests.map(q => (
+          <li key={q.key} className="flex items-center justify-between gap-2">
+            <span className="truncate">{q.emoji} {q.key} <span className="opacity-60">×{q.count}</span></span>
+            <span className="font-semibold" title={`Average ${fmtMoney(q.average, currency)}`}>{fmtMoney(q.value, currency)}</span>
+          </li>
+        ))}
+      </ul>
+      {rows.clients.length > 0 && (
+        <div className="pt-2 border-t border-gray-200 dark:border-gray-700">
+          <div className="text-xs opacity-70 mb-1">Top clients</div>
+          <ul className="space-y-1">
+            {rows.clients.map(c => (
+              <li key={c.key} className="flex items-center justify-between gap-2">
+                <span className="truncate">{c.key}</span>
+                <span>{fmtMoney(c.value, currency)}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+      <label className="flex items-center gap-2 text-xs opacity-70 self-start">
+        Currency
+        <input className={CONTROL + " py-1 w-16 uppercase"} maxLength={3} defaultValue={currency}
+          onBlur={e=>{ const c = e.target.value.trim().toUpperCase(); if (/^[A-Z]{3}$/.test(c) && c !== currency) onChangeCurrency(c); }} />
+      </label>
+    </div>
+  );
+}
+
+function Badges({ state, badges, onManage }) {
+  const earnedAt = state.badgesEarned || {};
+  const rows = badges.map(b => ({ ...b, progress: badgeProgress(b, state), unlockedAt: earnedAt[b.id] || null }));
+
+  return (
+    <div className="p-4 rounded-2xl border shadow-sm bg-white/60 dark:bg-gray-900/60 border-gray-200 dark:border-gray-700">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="font-semibold">Badges</h3>
+        <button onClick={onManage} className={BTN + " px-2 py-1 text-xs"}>Team badges</button>
+      </div>
+      <ul className="space-y-2">
+        {rows.map(b => {
+          const unlocked = !!b.unlockedAt;
+          return (
+            <li key={b.id} className={`px-3 py-2 rounded-xl border shadow-sm text-sm ${unlocked ? 'bg-amber-100 dark:bg-amber-900/40' : ''} border-gray-300 dark:border-gray-600`}>
+              <div className="flex items-center justify-between gap-2">
+                <span className={unlocked ? '' : 'opacity-70'}><span className="mr-1">{b.emoji}</span>{b.label}</span>
+                <span className="text-xs opacity-70">
+                  {unlocked ? new Date(b.unlockedAt).toLocaleDateString() : `${Math.min(b.progress.value, b.progress.target)} / ${b.progress.target}`}
+                </span>
+              </div>
+              {!unlocked && (
+                <div className="w-full h-1.5 mt-1 bg-gray-200 dark:bg-gray-700 rounded-full overflow-hidden">
+                  <div className="h-full bg-amber-500" style={{ width: `${b.progress.pct}%` }} />
+                </div>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
+
+/* -------------------- Team badge editor -------------------- */
+function BadgeEditor({ badges, quests, onChange, onClose }) {
+  const [draft, setDraft] = useState({ label: "", emoji: "🏆", type: "count", questId: "", category: "", target: 10 });
+  const categories = Array.from(new Set(quests.map(q => q.category)));
+  const set = (patch) => setDraft(d => ({ ...d, ...patch }));
+  const filterable = draft.type === "count" || draft.type === "dayPoints";
+
+  const add = () => {
+    const label = draft.label.trim();
+    if (!label) return;
+    const criteria = { type: draft.type, target: Math.max(1, parseInt(draft.target, 10) || 1) };
+    if (filterable && draft.questId) criteria.questId = draft.questId;
+    if (filterable && draft.category) criteria.category = draft.category;
+    onChange([...badges, { id: "team-" + uid(), label, emoji: draft.emoji || "🏆", criteria }]);
+    set({ label: "" });
+  };
+
+  const describe = (c) => {
+    const quest = quests.find(q => q.id === c.questId);
+    const scope = [quest?.title, c.category].filter(Boolean).join(" / ");
+    return `${CRITERIA_TYPES[c.type]} ≥ ${c.target}${scope ? ` (${scope})` : ""}`;
+  };
+
+  return (
+    <div className="p-4 rounded-2xl border shadow-sm bg-white/70 dark:bg-gray-900/70 border-gray-200 dark:border-gray-700 flex flex-col gap-3">
+      <div className="flex items-center justify-between">
+        <h2 className="text-lg font-semibold">Team badges</h2>
+        <button onClick={onClose} className={BTN + " px-2 py-1 text-xs"}>Close</button>
+      </div>
+      <p className="text-xs opacity-70">Shared by every profile on this device, alongside the {DEFAULT_BADGES.length} built-in badges.</p>
+      {badges.length === 0 && <div className="text-sm opacity-70">No team badges yet.</div>}
+      <ul className="space-y-1 text-sm">
+        {badges.map(b => (
+          <li key={b.id} className="flex items-center justify-between gap-2">
+            <span><span className="mr-1">{b.emoji}</span>{b.label} <span className="text-xs opacity-70">— {describe(b.criteria)}</span></span>
+            <button onClick={()=>onChange(badges.filter(x => x.id !== b.id))} className={BTN + " px-2 py-1 text-xs"}>Del</button>
+          </li>
+        ))}
+      </ul>
+      <div className="flex flex-wrap items-center gap-2 text-sm border-t border-gray-200 dark:border-gray-700 pt-3">
+        <input className={CONTROL + " w-16"} value={draft.emoji} onChange={e=>set({ emoji: e.target.value })} />
+        <input className={CONTROL} placeholder="Badge name" value={draft.label} onChange={e=>set({ label: e.target.value })} />
+        <select className={CONTROL} value={draft.type} onChange={e=>set({ type: e.target.value })}>
+          {Object.entries(CRITERIA_TYPES).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+        </select>
+        {filterable && (
+          <>
+            <select className={CONTROL} value={draft.questId} onChange={e=>set({ questId: e.target.value })}>
+              <option value="">Any quest</option>
+              {quests.map(q => <option key={q.id} value={q.id}>{q.emoji} {q.title}</option>)}
+            </select>
+            <select className={CONTROL} value={draft.category} onChange={e=>set({ category: e.target.value })}>
+              <option value="">Any category</option>
+              {categories.map(c => <option key={c}>{c}</option>)}
+            </select>
+          </>
+        )}
+        <span>≥</span>
+        <input className={CONTROL + " w-20"} inputMode="numeric" value={draft.target} onChange={e=>set({ target: e.target.value })} />
+        <button onClick={add} className={BTN}>+ Add badge</button>
+      </div>
+    </div>
+  );
+}
+
+/* -------------------- Badge celebration -------------------- */
+function BadgeCelebration({ badges, onClose }) {
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4" onClick={onClose}>
+      <div className="w-full max-w-sm rounded-2xl bg-white dark:bg-gray-900 border border-gray-200 dark:border-gray-700 p-6 shadow-xl text-center">
+        <div className="text-5xl mb-2 animate-bounce">🎉</div>
+        <h4 className="text-lg font-semibold mb-3">Badge{badges.length === 1 ? '' : 's'} unlocked!</h4>
+        <ul className="space-y-1 mb-4">
+          {badges.map(b => <li key={b.id} className="text-lg"><span className="mr-1">{b.emoji}</span>{b.label}</li>)}
+        </ul>
+        <button className="px-3 py-2 rounded-xl bg-black text-white dark:bg-white dark:text-black" onClick={onClose}>Nice!</button>
+      </div>
+    </div>
+  );
+}
+
+/* -------------------- Analytics (SVG charts) -------------------- */
+const CHART_TEXT = "fill-current text-[10px] opacity-70";
+
+function DailyBarChart({ data, goal }) {
+  const W = 640, H = 180, PAD_L = 28, PAD_B = 20, PAD_T = 8;
+  const max = Math.max(goal || 0, ...data.map(d => d.points), 1);
+  const innerW = W - PAD_L;
+  const innerH = H - PAD_B - PAD_T;
+  const bw = innerW / data.length;
+  const y = (v) => PAD_T + innerH - (v / max) * innerH;
+  const labelEvery = Math.ceil(data.length / 10);
+  return (
+    <svg viewBox={`0 0 ${W} ${H}`} className="w-full h-auto" role="img" aria-label="Daily points">
+      <text x={0} y={y(max) + 4} className={CHART_TEXT}>{max}</text>
+      <text x={0} y={y(0)} className={CHART_TEXT}>0</text>
+      {data.map((d, i) => (
+        <g key={d.date}>
+          <rect
+            x={PAD_L + i * bw + 1}
+            y={y(d.points)}
+            width={Math.max(1, bw - 2)}
+            height={Math.max(0, y(0) - y(d.points))}
+            className={goal && d.points >= goal ? "fill-green-500" : "fill-gray-400 dark:fill-gray-500"}
+          >
+            <title>{d.date}: {d.points} pts ({d.count})</title>
+          </rect>
+          {i % labelEvery === 0 && (
+            <text x={PAD_L + i * bw + bw / 2} y={H - 6} textAnchor="middle" className={CHART_TEXT}>{d.date.slice(5)}</text>
+          )}
+        </g>
+      ))}
+      {goal > 0 && (
+        <g>
+          <line x1={PAD_L} x2={W} y1={y(goal)} y2={y(goal)} className="stroke-red-500" strokeDasharray="4 3" />
+          <text x={W - 2} y={y(goal) - 3} textAnchor="end" className="fill-red-500 text-[10px]">goal {goal}</text>
+        </g>
+      )}
+    </svg>
+  );
+}
+
+function HBarList({ rows, value, format }) {
+  const max = Math.max(1, ...rows.map(value));
+  if (!rows.length) return <div className="text-sm opacity-70">No data.</div>;
+  return (
+    <ul className="space-y-1 text-sm">
+      {rows.map(r => (
+        <li key={r.key} className="flex items-center gap-2">
+          <span className="w-36 truncate" title={r.key}>{r.emoji ? `${r.emoji} ` : ""}{r.key}</span>
+          <svg viewBox="0 0 100 8" preserveAspectRatio="none" className="flex-1 h-2">
+            <rect x="0" y="0" width="100" height="8" className="fill-gray-200 dark:fill-gray-700" />
+            <rect x="0" y="0" width={(value(r) / max) * 100} height="8" className="fill-blue-500" />
+          </svg>
+          <span className="w-20 text-right font-semibold">{format(r)}</span>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+function Heatmap({ grid }) {
+  const CELL = 14, PAD_L = 30, PAD_T = 14;
+  const max = Math.max(1, ...grid.flat());
+  const hourTotals = grid[0].map((_, h) => grid.reduce((s, row) => s + row[h], 0));
+  const dayTotals = grid.map(row => row.reduce((s, v) => s + v, 0));
+  return (
+    <svg viewBox={`0 0 ${PAD_L + 24 * CELL + 30} ${PAD_T + 8 * CELL + 4}`} className="w-full h-auto" role="img" aria-label="Activity by weekday and hour">
+      {[0, 6, 12, 18].map(h => (
+        <text key={h} x={PAD_L + h * CELL} y={10} className={CHART_TEXT}>{String(h).padStart(2, "0")}</text>
+      ))}
+      {grid.map((row, d) => (
+        <g key={d}>
+          <text x={0} y={PAD_T + d * CELL + 10} className={CHART_TEXT}>{WEEKDAYS[d]}</text>
+          {row.map((v, h) => (
+            <rect
+              key={h}
+              x={PAD_L + h * CELL}
+              y={PAD_T + d * CELL}
+              width={CELL - 2}
+              height={CELL - 2}
+              rx={2}
+              className="fill-blue-500"
+              fillOpacity={v ? 0.15 + 0.85 * (v / max) : 0.06}
+            >
+              <title>{WEEKDAYS[d]} {String(h).padStart(2, "0")}:00 — {v}</title>
+            </rect>
+          ))}
+          <text x={PAD_L + 24 * CELL + 4} y={PAD_T + d * CELL + 10} className={CHART_TEXT}>{dayTotals[d]}</text>
+        </g>
+      ))}
+      {/* hour-of-day totals */}
+      {hourTotals.map((v, h) => (
+        <rect
+          key={h}
+          x={PAD_L + h * CELL}
+          y={PAD_T + 7 * CELL + 2}
+          width={CELL - 2}
+          height={CELL - 4}
+          rx={2}
+          className="fill-amber-500"
+          fillOpacity={v ? 0.15 + 0.85 * (v / Math.max(1, ...hourTotals)) : 0.06}
+        >
+          <title>{String(h).padStart(2, "0")}:00 — {v} total</title>
+        </rect>
+      ))}
+      <text x={0} y={PAD_T + 7 * CELL + 10} className={CHART_TEXT}>All</text>
+    </svg>
+  );
+}
+
+function ChangePill({ pct }) {
+  if (pct == null) return <span className="text-xs opacity-60">—</span>;
+  const up = pct >= 0;
+  return <span className={`text-xs font-semibold ${up ? "text-green-600 dark:text-green-400" : "text-red-600 dark:text-red-400"}`}>{up ? "▲" : "▼"} {Math.abs(pct)}%</span>;
+}
+
+function Analytics({ person, personHistory, profiles, dailyGoal, onClose }) {
+  const [scope, setScope] = useState("person"); // person | all
+  const [days, setDays] = useState(30);
+
+  const history = useMemo(() => {
+    if (scope === "person") return personHistory.map(h => ({ ...h, person }));
+    return profiles.flatMap(p => (p === person ? personHistory : loadPersonState(p).history).map(h => ({ ...h, person: p })));
+  }, [scope, person, personHistory, profiles]);
+
+  const ranged = useMemo(() => inLastDays(history, days), [history, days]);
+  const daily = useMemo(() => dailyPoints(history, days), [history, days]);
+  const cats = useMemo(() => byCategory(ranged), [ranged]);
+  const quests = useMemo(() => byQuest(ranged), [ranged]);
+  const grid = useMemo(() => weekdayHourGrid(ranged), [ranged]);
+  const wow = useMemo(() => weekOverWeek(history), [history]);
+  const total = ranged.reduce((s, h) => s + (h.points || 0), 0);
+  // Goal line only makes sense for one person's daily goal
+  const goal = scope === "person" ? dailyGoal : 0;
+
+  return (
+    <div className="p-4 rounded-2xl border shadow-sm bg-white/60 dark:bg-gray-900/60 border-gray-200 dark:border-gray-700 flex flex-col gap-4">
+      <div className="flex items-center justify-between flex-wrap gap-2">
+        <h3 className="font-semibold">Analytics</h3>
+        <div className="flex items-center gap-2">
+          <select className={CONTROL} value={scope} onChange={e=>setScope(e.target.value)}>
+            <option value="person">{person || "This person"}</option>
+            <option value="all">All profiles</option>
+          </select>
+          <select className={CONTROL} value={days} onChange={e=>setDays(Number(e.target.value))}>
+            <option value={14}>Last 14 days</option>
+            <option value={30}>Last 30 days</option>
+            <option value={90}>Last 90 days</option>
+          </select>
+          <button onClick={onClose} className={BTN}>Close</button>
+        </div>
+      </div>
+
+      <div className="text-sm opacity-80">{total} pts • {ranged.length} completions • avg {Math.round(total / days)} pts/day</div>
+
+      <section>
+        <h4 className="text-sm font-semibold mb-1">Daily points</h4>
+        <DailyBarChart data={daily} goal={goal} />
+      </section>
+
+      <section>
+        <h4 className="text-sm font-semibold mb-2">Week over week</h4>
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left opacity-70"><th></th><th className="text-right">{wow.prevKey}</th><th className="text-right">{wow.thisKey} (so far)</th><th className="text-right">Change</th></tr>
+          </thead>
+          <tbody>
+            <tr className="border-t border-gray-200 dark:border-gray-700">
+              <td className="py-1">Points</td>
+              <td className="text-right">{wow.previous.points}</td>
+              <td className="text-right font-semibold">{wow.current.points}</td>
+              <td className="text-right"><ChangePill pct={wow.pointsChange} /></td>
+            </tr>
+            <tr className="border-t border-gray-200 dark:border-gray-700">
+              <td className="py-1">Completions</td>
+              <td className="text-right">{wow.previous.count}</td>
+              <td className="text-right font-semibold">{wow.current.count}</td>
+              <td className="text-right"><ChangePill pct={wow.countChange} /></td>
+            </tr>
+          </tbody>
+        </table>
+      </section>
+
+      <div className="grid md:grid-cols-2 gap-4">
+        <section>
+          <h4 className="text-sm font-semibold mb-2">Points by category</h4>
+          <HBarList rows={cats} value={r => r.points} format={r => `${r.points} pts`} />
+        </section>
+        <section>
+          <h4 className="text-sm font-semibold mb-2">Completions per quest</h4>
+          <HBarList rows={quests.slice(0, 12)} value={r => r.count} format={r => `${r.count}×`} />
+        </section>
+      </div>
+
+      <section>
+        <h4 className="text-sm font-semibold mb-1">When you work (weekday × hour)</h4>
+        <Heatmap grid={grid} />
+      </section>
+    </div>
+  );
+}
+
+/* -------------------- Timer (with repeating alarm) -------------------- */
+const TIMER_NOTIFY_TAG = "focus-timer";
+const TIMER_NOTIFY_OPTIONS = { body: "Nice work! Tap to log your points.", icon: "/icons/icon-192.png", badge: "/icons/icon-192.png", data: { url: "/" } };
+const timerDoneTitle = (mode) => mode === 'work' ? "Work block done" : mode === 'short' ? "Short break over" : "Long break over";
+const MODE_LABEL = { work: "Work", short: "Short break", long: "Long break" };
+
+function Timer({ settings, timer, quests, focusToday, onChange, onChangeSettings, onBlockFinished, onTimerComplete }) {
+  const { mode, running } = timer;
+  const pending = timer.pendingLog;
+  const every = Math.max(1, Number(settings.longBreakEvery) || 4);
+  const [now, setNow] = useState(Date.now());
+
+  // alarm refs
+  const alarmIntervalRef = useRef(null);
   const alarmTimeoutRef = useRef(null);
 
   // Unlock WebAudio on first interaction
@@ -470,16 +2053,22 @@ function Timer({ settings, onTimerComplete }) {
     audioEngine.attachUnlockOnce();
   }, []);
 
-  // Request Notification permission lazily when user starts timer
-  const requestNotifyIfNeeded = () => {
-    if (!("Notification" in window)) return;
-    if (Notification.permission === "default") {
-      Notification.requestPermission().catch(() => {});
-    }
-  };
+  // Parent callbacks are new on every render; effects reach the current ones through this ref
+  const callbacks = useRef(null);
+  callbacks.current = { onChange, onBlockFinished };
 
-  // helper: start/stop repeating alarm
-  const startAlarm = () => {
+  // helper: start/stop repeating alarm (refs only, so both are stable)
+  const stopAlarm = useCallback(() => {
+    if (alarmIntervalRef.current) {
+      clearInterval(alarmIntervalRef.current);
+      alarmIntervalRef.current = null;
+    }
+    if (alarmTimeoutRef.current) {
+      clearTimeout(alarmTimeoutRef.current);
+      alarmTimeoutRef.current = null;
+    }
+  }, []);
+  const startAlarm = useCallback(() => {
     stopAlarm(); // safety
     // Beep immediately, then every 2s; stop after 35s automatically.
     audioEngine.beep(650, 900, "sine");
@@ -493,76 +2082,86 @@ function Timer({ settings, onTimerComplete }) {
     alarmTimeoutRef.current = setTimeout(() => {
       stopAlarm();
     }, 35000); // 35 seconds hard stop
-  };
-  const stopAlarm = () => {
-    if (alarmIntervalRef.current) {
-      clearInterval(alarmIntervalRef.current);
-      alarmIntervalRef.current = null;
-    }
-    if (alarmTimeoutRef.current) {
-      clearTimeout(alarmTimeoutRef.current);
-      alarmTimeoutRef.current = null;
-    }
-  };
+  }, [stopAlarm]);
 
-  // tick
+  // Re-render clock. The interval only repaints; time left always comes from timer.endsAt,
+  // so a throttled background tab is correct again on the next tick or when it becomes visible.
   useEffect(() => {
-    let t;
-    if (running) t = setInterval(() => setSeconds(s => Math.max(0, s-1)), 1000);
-    return () => clearInterval(t);
+    if (!running) return;
+    const refresh = () => setNow(Date.now());
+    refresh();
+    const t = setInterval(refresh, 500);
+    document.addEventListener("visibilitychange", refresh);
+    window.addEventListener("focus", refresh);
+    return () => {
+      clearInterval(t);
+      document.removeEventListener("visibilitychange", refresh);
+      window.removeEventListener("focus", refresh);
+    };
   }, [running]);
 
-  // expiry
+  // Schedule the alarm for whatever block is running: on start, on an auto-started next
+  // phase and after a reload (replaces the pending one, if any)
   useEffect(() => {
-    if (seconds !== 0) return;
-    if (running) setRunning(false);
-
-    // Start repeating alarm
-    startAlarm();
-
-    // System notification (if allowed)
-    const title = mode === 'work' ? "Work block done" : mode === 'short' ? "Short break over" : "Long break over";
-    const body = "Nice work! Tap to log your points.";
-    if ("Notification" in window && Notification.permission === "granted") {
-      try {
-        const n = new Notification(title, { body });
-        n.onclick = () => { try { window.focus(); } catch {} };
-      } catch {}
+    if (running && timer.endsAt > Date.now()) {
+      scheduleSystemNotification(TIMER_NOTIFY_TAG, timer.endsAt, timerDoneTitle(mode), TIMER_NOTIFY_OPTIONS);
     }
+  }, [running, timer.endsAt, mode]);
+
+  // expiry (also fires on return if the block ended while the tab was away)
+  useEffect(() => {
+    const finished = checkExpiry(timer, settings, now);
+    if (!finished) return;
+    callbacks.current.onChange(finished);
+    callbacks.current.onBlockFinished(blockLog(timer, settings));
 
-    // In-app modal
-    setModalText({ title, body: "Nice work! Tap below to log your points." });
-    setShowModal(true);
+    // Start repeating alarm
+    startAlarm();
 
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [seconds]);
+    // System notification from the page (same tag as the scheduled one, so it is shown once)
+    showSystemNotification(timerDoneTitle(timer.mode), { ...TIMER_NOTIFY_OPTIONS, tag: TIMER_NOTIFY_TAG });
+  }, [now, timer, settings, startAlarm]);
 
   // cleanup alarms if component unmounts
-  useEffect(() => () => stopAlarm(), []);
+  useEffect(() => () => stopAlarm(), [stopAlarm]);
 
   const resetTo = (m) => {
-    setMode(m);
-    const mins = m==='work'? settings.pomodoroMinutes : m==='short'? settings.shortBreakMinutes : m==='long'? settings.longBreakMinutes : settings.pomodoroMinutes;
-    setSeconds(mins*60);
-    setRunning(false);
+    onChange(resetTimer(timer, m));
     stopAlarm();
-    setShowModal(false);
+    cancelSystemNotification(TIMER_NOTIFY_TAG);
   };
 
   const startPause = () => {
-    requestNotifyIfNeeded();
-    setRunning(r => !r);
+    requestNotifyPermission();
+    const t = Date.now();
+    if (running) {
+      cancelSystemNotification(TIMER_NOTIFY_TAG);
+      onChange(pauseTimer(timer, settings, t));
+    } else {
+      // The effect above schedules its alarm (the service worker shows it on time while this tab is open, even in the background)
+      onChange(startTimer(timer, settings, t));
+      setNow(t);
+    }
   };
 
+  const seconds = Math.ceil(remainingMs(timer, settings, running ? now : Date.now()) / 1000);
   const mm = String(Math.floor(seconds/60)).padStart(2,'0');
   const ss = String(seconds%60).padStart(2,'0');
 
-  const logPointsNow = () => {
+  const closePrompt = () => {
     stopAlarm();
-    setShowModal(false);
-    onTimerComplete(mode);
+    // Keep the scheduled alarm if auto-cycle already started the next phase
+    if (!running) cancelSystemNotification(TIMER_NOTIFY_TAG);
+    onChange(dismissPending(timer));
   };
 
+  const logPointsNow = () => {
+    closePrompt();
+    onTimerComplete(pending);
+  };
+
+  const finishedAgo = pending ? Math.round((Date.now() - pending.finishedAt) / 60000) : 0;
+
   return (
     <div className="p-4 rounded-2xl border shadow-sm bg-white/60 dark:bg-gray-900/60 border-gray-200 dark:border-gray-700">
       <h3 className="font-semibold mb-2">Focus Timer</h3>
@@ -571,20 +2170,64 @@ function Timer({ settings, onTimerComplete }) {
         <button onClick={()=>resetTo('short')} className={`${BTN} ${mode==='short'?'!bg-black !text-white dark:!bg-white dark:!text-black':''}`}>Short</button>
         <button onClick={()=>resetTo('long')} className={`${BTN} ${mode==='long'?'!bg-black !text-white dark:!bg-white dark:!text-black':''}`}>Long</button>
       </div>
-      <div className="text-4xl font-bold text-center mb-3">{mm}:{ss}</div>
+      <div className="text-4xl font-bold text-center mb-1">{mm}:{ss}</div>
+      <div className="text-xs text-center opacity-70 mb-3">
+        {settings.autoCycle && <>Block {Math.min(every, (timer.cycleCount || 0) + (mode === 'work' ? 1 : 0))} of {every} · </>}
+        {focusToday} focus session{focusToday === 1 ? '' : 's'} today
+      </div>
       <div className="flex gap-2 justify-center">
         <button onClick={startPause} className={BTN}>{running? 'Pause' : 'Start'}</button>
         <button onClick={()=>resetTo(mode)} className={BTN}>Reset</button>
       </div>
 
-      {/* In-app modal */}
-      {showModal && (
+      <label className="block text-sm mt-3">
+        <span className="opacity-70">Working on</span>
+        <select
+          className={CONTROL + " w-full mt-1"}
+          value={timer.focusQuestId || ""}
+          onChange={e=>onChange({ ...timer, focusQuestId: e.target.value || null })}
+        >
+          <option value="">— No specific quest —</option>
+          {quests.map(q => <option key={q.id} value={q.id}>{q.emoji} {q.title}</option>)}
+        </select>
+      </label>
+
+      <div className="flex flex-wrap items-center gap-x-4 gap-y-2 text-sm mt-3">
+        <label className="flex items-center gap-2">
+          <input type="checkbox" checked={!!settings.autoCycle} onChange={e=>onChangeSettings({ autoCycle: e.target.checked })} />
+          Auto-cycle
+        </label>
+        <label className={`flex items-center gap-2 ${settings.autoCycle ? '' : 'opacity-50'}`}>
+          <input type="checkbox" disabled={!settings.autoCycle} checked={!!settings.autoStartNext} onChange={e=>onChangeSettings({ autoStartNext: e.target.checked })} />
+          Auto-start next
+        </label>
+        <label className={`flex items-center gap-2 ${settings.autoCycle ? '' : 'opacity-50'}`}>
+          Long break every
+          <input
+            type="number"
+            min="1"
+            className={CONTROL + " w-16"}
+            disabled={!settings.autoCycle}
+            value={every}
+            onChange={e=>onChangeSettings({ longBreakEvery: clamp(Math.round(Number(e.target.value) || 1), 1, 12) })}
+          />
+          blocks
+        </label>
+      </div>
+
+      {/* In-app modal (persisted via timer.pendingLog, so it is still here after a reload) */}
+      {pending && (
         <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4">
           <div className="w-full max-w-md rounded-2xl bg-white dark:bg-gray-900 border border-gray-200 dark:border-gray-700 p-5 shadow-xl">
-            <h4 className="text-lg font-semibold mb-2">{modalText.title}</h4>
-            <p className="opacity-80 mb-4">{modalText.body}</p>
+            <h4 className="text-lg font-semibold mb-2">{timerDoneTitle(pending.mode)}</h4>
+            <p className="opacity-80 mb-4">
+              Nice work! Tap below to log your points.
+              {finishedAgo > 0 && <> (Finished {finishedAgo} min ago at {new Date(pending.finishedAt).toLocaleTimeString()}.)</>}
+              {running && <> {MODE_LABEL[mode]} is already running.</>}
+              {timer.queuedLogs?.length > 0 && <> {timer.queuedLogs.length} more finished block{timer.queuedLogs.length === 1 ? '' : 's'} waiting.</>}
+            </p>
             <div className="flex gap-2 justify-end">
-              <button className={BTN} onClick={() => { stopAlarm(); setShowModal(false); }}>Dismiss</button>
+              <button className={BTN} onClick={closePrompt}>Dismiss</button>
               <button className="px-3 py-2 rounded-xl bg-black text-white dark:bg-white dark:text-black" onClick={logPointsNow}>
                 Log points
               </button>
@@ -596,37 +2239,161 @@ function Timer({ settings, onTimerComplete }) {
   );
 }
 
-/* -------------------- Leaderboard (local) -------------------- */
-function Leaderboard({ profiles }) {
+/* -------------------- Undo toast -------------------- */
+const UNDO_TOAST_MS = 6000;
+
+function UndoToast({ entry, onUndo, onClose }) {
+  // The countdown restarts per entry, not whenever the parent passes a new onClose
+  const close = useRef(onClose);
+  close.current = onClose;
+  useEffect(() => {
+    const t = setTimeout(() => close.current(), UNDO_TOAST_MS);
+    return () => clearTimeout(t);
+  }, [entry.id]);
+  return (
+    <div className="fixed bottom-4 left-1/2 -translate-x-1/2 z-40 flex items-center gap-3 px-4 py-3 rounded-2xl shadow-lg bg-gray-900 text-white dark:bg-gray-100 dark:text-gray-900 text-sm">
+      <span>{entry.emoji || '🎯'} {entry.title} +{entry.points}</span>
+      <button onClick={onUndo} className="font-semibold underline">Undo</button>
+      <button onClick={onClose} aria-label="Dismiss" className="opacity-70">✕</button>
+    </div>
+  );
+}
+
+/* -------------------- Leaderboard (local / team) -------------------- */
+const LEADERBOARD_CACHE_KEY = STORAGE_PREFIX + "leaderboard-cache"; // { [days]: { rows, fetchedAt } }
+const RANGE_DAYS = { week: 7, month: 30 };
+
+function loadLeaderboardCache(days) {
+  const all = safeJSONParse(getStorage().getItem(LEADERBOARD_CACHE_KEY), {}) || {};
+  return all[days] || null;
+}
+function saveLeaderboardCache(days, rows) {
+  const all = safeJSONParse(getStorage().getItem(LEADERBOARD_CACHE_KEY), {}) || {};
+  all[days] = { rows, fetchedAt: Date.now() };
+  getStorage().setItem(LEADERBOARD_CACHE_KEY, JSON.stringify(all));
+  return all[days];
+}
+
+/** Unsynced outbox points per person since startISO (these are not on the sheet yet). */
+function pendingPointsByName(outbox, startISO) {
+  const out = {};
+  for (const item of Object.values(outbox)) {
+    if (item.op && item.op !== "add") continue; // edits/deletes of rows the sheet already has
+    const p = item.payload || {};
+    if (!p.name || (p.date || "") < startISO) continue;
+    out[p.name] = (out[p.name] || 0) + (Number(p.points) || 0);
+  }
+  return out;
+}
+
+function Leaderboard({ profiles, teams }) {
+  const [source, setSource] = useState("local"); // local | team
   const [range, setRange] = useState("week"); // week | month
+  const [group, setGroup] = useState("people"); // people | teams
+  const days = RANGE_DAYS[range];
+  const outbox = useOutbox();
 
-  const rows = useMemo(() => {
-    const now = new Date();
-    const start = new Date(now);
-    if (range === "week") start.setDate(now.getDate() - 7);
-    else start.setMonth(now.getMonth() - 1);
-    const startISO = start.toISOString().slice(0, 10);
+  // Local calendar dates (toISOString() would give the UTC date); the last `days` days including today
+  const today = todayISO();
+  const startISO = useMemo(() => addDaysISO(today, -days + 1), [today, days]);
 
-    const totals = profiles.map((p) => {
+  const localRows = useMemo(() => {
+    if (source !== "local") return [];
+    return profiles.map((p) => {
       const s = loadPersonState(p);
       const pts = (s.history || [])
-        .filter((h) => h.date >= startISO)
+        .filter((h) => h.date >= startISO && h.date <= today)
         .reduce((sum, h) => sum + (h.points || 0), 0);
       return { name: p, points: pts };
     }).sort((a, b) => b.points - a.points);
+  }, [profiles, startISO, today, source]);
+
+  // Team board: cached response first, then refresh from the sheet
+  const [team, setTeam] = useState(() => loadLeaderboardCache(days));
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
 
-    return totals;
-  }, [profiles, range]);
+  const refresh = useCallback(async () => {
+    if (!isBackendConfigured()) { setError("Backend not configured — open ⚙️ Settings."); return; }
+    setLoading(true);
+    setError("");
+    try {
+      const rows = await requestLeaderboard(days);
+      setTeam(saveLeaderboardCache(days, rows));
+    } catch (err) {
+      setError(String(err?.message || err));
+    } finally {
+      setLoading(false);
+    }
+  }, [days]);
+
+  useEffect(() => {
+    if (source !== "team") return;
+    setTeam(loadLeaderboardCache(days));
+    refresh();
+  }, [source, days, refresh]);
+
+  const teamRows = useMemo(() => {
+    if (source !== "team") return [];
+    const pending = pendingPointsByName(outbox, startISO);
+    const byName = {};
+    for (const r of team?.rows || []) byName[r.name] = { name: r.name, synced: r.points, pending: 0 };
+    for (const [name, pts] of Object.entries(pending)) {
+      byName[name] = byName[name] || { name, synced: 0, pending: 0 };
+      byName[name].pending += pts;
+    }
+    return Object.values(byName)
+      .map((r) => ({ ...r, points: r.synced + r.pending }))
+      .sort((a, b) => b.points - a.points);
+  }, [source, team, outbox, startISO]);
+
+  const personRows = source === "team" ? teamRows : localRows;
+  const rows = group === "teams" && teams.teams.length ? teamTotals(personRows, teams) : personRows;
+  const hasPending = rows.some((r) => r.pending);
 
   return (
     <div className="p-4 rounded-2xl border shadow-sm bg-white/60 dark:bg-gray-900/60 border-gray-200 dark:border-gray-700">
-      <div className="flex items-center justify-between">
+      <div className="flex items-center justify-between flex-wrap gap-2">
         <h3 className="font-semibold">Leaderboard</h3>
-        <select className={CONTROL} value={range} onChange={(e)=>setRange(e.target.value)}>
-          <option value="week">Last 7 days</option>
-          <option value="month">Last 30 days</option>
-        </select>
+        <div className="flex items-center gap-2">
+          <div className="flex gap-1">
+            {["local", "team"].map((s) => (
+              <button
+                key={s}
+                onClick={() => setSource(s)}
+                className={TAB_BTN + (source === s ? " !bg-black !text-white dark:!bg-white dark:!text-black" : "")}
+              >
+                {s === "local" ? "Local" : "Team"}
+              </button>
+            ))}
+          </div>
+          <select className={CONTROL} value={range} onChange={(e)=>setRange(e.target.value)}>
+            <option value="week">Last 7 days</option>
+            <option value="month">Last 30 days</option>
+          </select>
+          {teams.teams.length > 0 && (
+            <select className={CONTROL} value={group} onChange={(e)=>setGroup(e.target.value)}>
+              <option value="people">By person</option>
+              <option value="teams">By team</option>
+            </select>
+          )}
+        </div>
       </div>
+
+      {source === "team" && (
+        <div className="flex items-center justify-between text-xs mt-2 gap-2">
+          <span className="opacity-70">
+            {loading ? "Loading…" : team ? `Last updated ${new Date(team.fetchedAt).toLocaleString()}` : "Not loaded yet"}
+          </span>
+          <button onClick={refresh} disabled={loading} className={BTN + " px-2 py-1 disabled:opacity-50"}>Refresh</button>
+        </div>
+      )}
+      {source === "team" && error && (
+        <div className="text-xs mt-2 text-red-600 dark:text-red-400">
+          Could not load team board: {error}{team ? " — showing cached results." : ""}
+        </div>
+      )}
+
       <table className="w-full text-sm mt-3">
         <thead>
           <tr className="text-left opacity-70"><th>#</th><th>Name</th><th className="text-right">Points</th></tr>
@@ -635,13 +2402,346 @@ function Leaderboard({ profiles }) {
           {rows.map((r, i) => (
             <tr key={r.name} className="border-t border-gray-200 dark:border-gray-700">
               <td className="py-1">{i+1}</td>
-              <td>{r.name}</td>
-              <td className="text-right font-semibold">{r.points}</td>
+              <td>
+                {r.name}
+                {r.members && <span className="ml-1 text-xs opacity-60">({r.members.length})</span>}
+              </td>
+              <td className="text-right font-semibold">
+                {r.points}
+                {!!r.pending && <span className="ml-1 text-xs font-normal text-amber-700 dark:text-amber-300">(+{r.pending} unsynced)</span>}
+              </td>
             </tr>
           ))}
-          {rows.length === 0 && <tr><td colSpan="3" className="py-3 opacity-70">No data yet.</td></tr>}
+          {rows.length === 0 && !loading && <tr><td colSpan="3" className="py-3 opacity-70">No data yet.</td></tr>}
         </tbody>
       </table>
+      {hasPending && (
+        <div className="text-xs opacity-70 mt-2">Unsynced points are from this device and not on the sheet yet.</div>
+      )}
+    </div>
+  );
+}
+
+/* -------------------- Seasons -------------------- */
+const WEEKDAY_NAMES = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+const fmtDay = (iso) => parseISODate(iso).toLocaleDateString(undefined, { month: "short", day: "numeric" });
+
+/** "Weekly report (Oct 10), Prospecting call ×3" from a standing's missed occurrences. */
+function summarizeMissed(missed) {
+  const byQuest = {};
+  for (const m of missed) (byQuest[m.title] = byQuest[m.title] || []).push(m);
+  return Object.entries(byQuest)
+    .map(([title, list]) => list.length === 1 ? `${title} (${fmtDay(list[0].due)})` : `${title} ×${list.length}`)
+    .join(", ");
+}
+
+function SeasonsPanel({ archive, config, requireManager, onChangeConfig, onClose }) {
+  const [selected, setSelected] = useState(archive[0]?.start || "");
+  const season = archive.find(a => a.start === selected) || archive[0];
+  const monthly = config.length === "month" || config.length === "quarter";
+  const names = Array.from(new Set(archive.flatMap(a => a.standings.map(r => r.name)))).sort((a, b) => a.localeCompare(b));
+  const bests = names.map(name => ({ name, ...personalBests(archive, name) }));
+
+  const change = (patch) => {
+    const next = { ...config, ...patch };
+    // Switching between weekly and monthly lengths needs a reset day that makes sense for it
+    if (patch.length && (patch.length === "month" || patch.length === "quarter") !== monthly) next.resetDay = 1;
+    requireManager(() => onChangeConfig(next));
+  };
+
+  return (
+    <div className="p-4 rounded-2xl border shadow-sm bg-white/70 dark:bg-gray-900/70 border-gray-200 dark:border-gray-700 flex flex-col gap-4 text-sm">
+      <div className="flex items-center justify-between">
+        <h2 className="text-lg font-semibold">Past seasons</h2>
+        <button onClick={onClose} className={BTN + " px-2 py-1 text-xs"}>Close</button>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <span>Season length</span>
+        <select className={CONTROL} value={config.length} onChange={e=>change({ length: e.target.value })}>
+          {Object.entries(SEASON_LENGTHS).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+        </select>
+        <span>starting</span>
+        <select className={CONTROL} value={config.resetDay} onChange={e=>change({ resetDay: Number(e.target.value) })}>
+          {monthly
+            ? Array.from({ length: 28 }, (_, i) => <option key={i} value={i + 1}>day {i + 1}</option>)
+            : WEEKDAY_NAMES.map((d, i) => <option key={d} value={i}>{d}</option>)}
+        </select>
+      </div>
+
+      {!season && <div className="opacity-70">No finished seasons yet. Final standings are archived here when a season ends.</div>}
+      {season && (
+        <section>
+          <div className="flex items-center gap-2 mb-2">
+            <select className={CONTROL} value={season.start} onChange={e=>setSelected(e.target.value)}>
+              {archive.map(a => <option key={a.start} value={a.start}>{fmtDay(a.start)} – {fmtDay(a.end)} {a.start.slice(0, 4)}</option>)}
+            </select>
+            <span className="text-xs opacity-70">{SEASON_LENGTHS[season.length] || ""}</span>
+          </div>
+          <table className="w-full">
+            <thead>
+              <tr className="text-left opacity-70"><th>#</th><th>Name</th><th>Team</th><th className="text-right">Level</th><th className="text-right">XP</th><th className="text-right">Points</th></tr>
+            </thead>
+            <tbody>
+              {season.standings.map(r => (
+                <tr key={r.name} className="border-t border-gray-200 dark:border-gray-700">
+                  <td className="py-1">{r.rank}</td>
+                  <td>{r.name}</td>
+                  <td className="opacity-70">{r.team || "—"}</td>
+                  <td className="text-right">{r.level}</td>
+                  <td className="text-right font-semibold">{r.xp}</td>
+                  <td className="text-right">{r.points}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {season.standings.some(r => r.missed?.length) && (
+            <div className="mt-3">
+              <h4 className="font-semibold mb-1">Missed recurring quests</h4>
+              <ul className="space-y-1">
+                {season.standings.filter(r => r.missed?.length).map(r => (
+                  <li key={r.name}><span className="font-medium">{r.name}</span>: <span className="opacity-80">{summarizeMissed(r.missed)}</span></li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </section>
+      )}
+
+      {bests.length > 0 && (
+        <section>
+          <h4 className="font-semibold mb-2">Personal bests</h4>
+          <table className="w-full">
+            <thead>
+              <tr className="text-left opacity-70"><th>Name</th><th className="text-right">Seasons</th><th className="text-right">Best XP</th><th className="text-right">Top level</th><th className="text-right">Best rank</th></tr>
+            </thead>
+            <tbody>
+              {bests.map(b => (
+                <tr key={b.name} className="border-t border-gray-200 dark:border-gray-700">
+                  <td className="py-1">{b.name}</td>
+                  <td className="text-right">{b.seasons}</td>
+                  <td className="text-right" title={`Season of ${b.bestXP.start}`}>{b.bestXP.xp}</td>
+                  <td className="text-right">{b.bestLevel.level}</td>
+                  <td className="text-right" title={`Season of ${b.bestRank.start}`}>#{b.bestRank.rank}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </section>
+      )}
+    </div>
+  );
+}
+
+/* -------------------- Challenges -------------------- */
+const STATUS_PILL = {
+  live: "bg-green-100 text-green-800 dark:bg-green-900/40 dark:text-green-300",
+  upcoming: "bg-blue-100 text-blue-800 dark:bg-blue-900/40 dark:text-blue-300",
+  ended: "bg-gray-200 text-gray-700 dark:bg-gray-700 dark:text-gray-200",
+};
+
+function describeMetric(metric, quests) {
+  if (metric.type === "quest") return `${quests.find(q => q.id === metric.questId)?.title || "Quest"} completions`;
+  if (metric.type === "category") return `${metric.category} completions`;
+  return "Total points";
+}
+
+function ChallengeEditor({ profiles, quests, onSave, onClose }) {
+  const [draft, setDraft] = useState(() => makeChallenge());
+  const [format, setFormat] = useState("solo"); // solo | teams
+  const [picked, setPicked] = useState({}); // person -> true (solo) | "A" | "B" (teams)
+  const [teamNames, setTeamNames] = useState({ A: "Team A", B: "Team B" });
+  const [others, setOthers] = useState(""); // people who only exist on other devices
+  const categories = Array.from(new Set(quests.map(q => q.category)));
+  const set = (patch) => setDraft(d => ({ ...d, ...patch }));
+  const setMetric = (patch) => set({ metric: { ...draft.metric, ...patch } });
+
+  const extra = others.split(",").map(s => s.trim()).filter(Boolean);
+  const everyone = Array.from(new Set([...profiles, ...extra]));
+
+  const sides = format === "solo"
+    ? soloSides(everyone.filter(p => picked[p] === true || (extra.includes(p) && !profiles.includes(p))))
+    : ["A", "B"].map(k => ({ name: teamNames[k].trim() || `Team ${k}`, members: everyone.filter(p => picked[p] === k) }));
+  const valid = draft.title.trim() && draft.start <= draft.end
+    && (format === "solo" ? sides.length >= 2 : sides.every(s => s.members.length))
+    && (draft.metric.type !== "quest" || draft.metric.questId)
+    && (draft.metric.type !== "category" || draft.metric.category);
+
+  const save = () => {
+    if (!valid) return;
+    onSave({ ...draft, title: draft.title.trim(), sides, updatedAt: Date.now() });
+  };
+
+  return (
+    <div className="mt-3 p-3 rounded-xl border border-gray-200 dark:border-gray-700 flex flex-col gap-3 text-sm">
+      <input className={CONTROL} placeholder="Challenge name (e.g. Most meetings booked)" value={draft.title} onChange={e=>set({ title: e.target.value })} />
+      <div className="flex flex-wrap items-center gap-2">
+        <select className={CONTROL} value={draft.metric.type} onChange={e=>set({ metric: { type: e.target.value } })}>
+          {Object.entries(METRIC_TYPES).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+        </select>
+        {draft.metric.type === "quest" && (
+          <select className={CONTROL} value={draft.metric.questId || ""} onChange={e=>setMetric({ questId: e.target.value })}>
+            <option value="">Pick a quest…</option>
+            {quests.map(q => <option key={q.id} value={q.id}>{q.emoji} {q.title}</option>)}
+          </select>
+        )}
+        {draft.metric.type === "category" && (
+          <select className={CONTROL} value={draft.metric.category || ""} onChange={e=>setMetric({ category: e.target.value })}>
+            <option value="">Pick a category…</option>
+            {categories.map(c => <option key={c}>{c}</option>)}
+          </select>
+        )}
+      </div>
+      <div className="flex flex-wrap items-center gap-2">
+        <label>From <input type="date" className={CONTROL} value={draft.start} onChange={e=>set({ start: e.target.value })} /></label>
+        <label>to <input type="date" className={CONTROL} value={draft.end} onChange={e=>set({ end: e.target.value })} /></label>
+      </div>
+      <div className="flex gap-1">
+        {[["solo", "Everyone for themselves"], ["teams", "Team vs team"]].map(([k, label]) => (
+          <button key={k} onClick={()=>setFormat(k)} className={TAB_BTN + (format === k ? " !bg-black !text-white dark:!bg-white dark:!text-black" : "")}>{label}</button>
+        ))}
+      </div>
+      {format === "teams" && (
+        <div className="flex gap-2">
+          {["A", "B"].map(k => (
+            <input key={k} className={CONTROL + " flex-1"} value={teamNames[k]} onChange={e=>setTeamNames(t => ({ ...t, [k]: e.target.value }))} />
+          ))}
+        </div>
+      )}
+      <ul className="space-y-1">
+        {everyone.map(p => (
+          <li key={p} className="flex items-center justify-between gap-2">
+            <span>{p}{!profiles.includes(p) && <span className="text-xs opacity-60"> (other device)</span>}</span>
+            {format === "solo" ? (
+              <input
+                type="checkbox"
+                checked={picked[p] === true || (!profiles.includes(p))}
+                disabled={!profiles.includes(p)}
+                onChange={e=>setPicked(x => ({ ...x, [p]: e.target.checked }))}
+              />
+            ) : (
+              <select className={CONTROL + " py-1"} value={typeof picked[p] === "string" ? picked[p] : ""} onChange={e=>setPicked(x => ({ ...x, [p]: e.target.value }))}>
+                <option value="">—</option>
+                <option value="A">{teamNames.A || "Team A"}</option>
+                <option value="B">{teamNames.B || "Team B"}</option>
+              </select>
+            )}
+          </li>
+        ))}
+      </ul>
+      <input className={CONTROL} placeholder="Also include (names on other devices, comma-separated)" value={others} onChange={e=>setOthers(e.target.value)} />
+      <div className="flex gap-2 justify-end">
+        <button onClick={onClose} className={BTN}>Cancel</button>
+        <button onClick={save} disabled={!valid} className={BTN + " disabled:opacity-50"}>Create challenge</button>
+      </div>
+    </div>
+  );
+}
+
+function ChallengeCard({ challenge, quests, standings, onDelete }) {
+  const status = challengeStatus(challenge);
+  const top = Math.max(1, ...standings.map(s => s.value));
+  const team = isTeamChallenge(challenge);
+  const winners = challenge.winner?.names || [];
+  return (
+    <li className="p-3 rounded-xl border border-gray-200 dark:border-gray-700">
+      <div className="flex items-start justify-between gap-2">
+        <div>
+          <div className="font-medium">{challenge.title}</div>
+          <div className="text-xs opacity-70">{describeMetric(challenge.metric, quests)} · {challenge.start} → {challenge.end}</div>
+        </div>
+        <div className="flex items-center gap-2">
+          <span className={`text-xs px-2 py-0.5 rounded-full ${STATUS_PILL[status]}`}>{status}</span>
+          <button onClick={()=>onDelete(challenge)} className={BTN + " px-2 py-1 text-xs"}>Del</button>
+        </div>
+      </div>
+      {challenge.winner && (
+        <div className="text-sm mt-2">🏆 {winners.join(" & ")} won with {challenge.winner.value}{winners.length > 1 ? " (tie)" : ""}</div>
+      )}
+      <ol className="mt-2 space-y-1 text-sm">
+        {standings.map((s, i) => (
+          <li key={s.name}>
+            <div className="flex justify-between">
+              <span>{i+1}. {s.name}{team && <span className="text-xs opacity-60"> ({s.members.join(", ")})</span>}</span>
+              <span className="font-semibold">{s.value}</span>
+            </div>
+            <div className="h-1.5 rounded-full bg-gray-200 dark:bg-gray-700">
+              <div className="h-1.5 rounded-full bg-blue-500" style={{ width: `${Math.round((s.value / top) * 100)}%` }} />
+            </div>
+          </li>
+        ))}
+      </ol>
+    </li>
+  );
+}
+
+function Challenges({ challenges, profiles, quests, historyOf, remoteStandings, requireManager, onCreate, onDelete, onSynced }) {
+  const [creating, setCreating] = useState(false);
+  const [showEnded, setShowEnded] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  const visible = challenges.filter(c => !c.deleted);
+  const active = visible.filter(c => challengeStatus(c) !== "ended");
+  const ended = visible.filter(c => challengeStatus(c) === "ended");
+
+  // Pull challenges other devices created plus sheet-wide values for the ones still undecided
+  const refresh = async () => {
+    if (!isBackendConfigured()) return;
+    setLoading(true);
+    setError("");
+    try {
+      const remote = await requestChallenges();
+      const merged = mergeChallenges(challenges, remote);
+      const standings = {};
+      for (const c of merged.filter(c => !c.deleted && !c.winner && challengeStatus(c) !== "upcoming")) {
+        standings[c.id] = await requestChallengeStandings(c);
+      }
+      onSynced(remote, standings);
+    } catch (err) {
+      setError(String(err?.message || err));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Once on mount, with whatever refresh is current by then
+  const refreshRef = useRef(refresh);
+  refreshRef.current = refresh;
+  useEffect(() => { refreshRef.current(); }, []);
+
+  const card = (c) => (
+    <ChallengeCard key={c.id} challenge={c} quests={quests} standings={challengeStandings(c, historyOf, remoteStandings[c.id])} onDelete={onDelete} />
+  );
+
+  return (
+    <div className="p-4 rounded-2xl border shadow-sm bg-white/60 dark:bg-gray-900/60 border-gray-200 dark:border-gray-700">
+      <div className="flex items-center justify-between flex-wrap gap-2">
+        <h3 className="font-semibold">Challenges</h3>
+        <div className="flex gap-2">
+          {isBackendConfigured() && (
+            <button onClick={refresh} disabled={loading} className={BTN + " px-2 py-1 text-xs disabled:opacity-50"}>{loading ? "Syncing…" : "Refresh"}</button>
+          )}
+          <button onClick={()=>requireManager(()=>setCreating(v=>!v))} className={BTN + " px-2 py-1 text-xs"}>+ New challenge</button>
+        </div>
+      </div>
+      {error && <div className="text-xs mt-2 text-red-600 dark:text-red-400">Could not sync challenges: {error}</div>}
+      {creating && (
+        <ChallengeEditor profiles={profiles} quests={quests} onSave={(c)=>{ onCreate(c); setCreating(false); }} onClose={()=>setCreating(false)} />
+      )}
+
+      <ul className="mt-3 space-y-3">
+        {active.map(card)}
+        {active.length === 0 && <li className="text-sm opacity-70">No live or upcoming challenges.</li>}
+      </ul>
+      {ended.length > 0 && (
+        <>
+          <button onClick={()=>setShowEnded(v=>!v)} className="text-xs underline opacity-70 mt-3">
+            {showEnded ? "Hide" : "Show"} finished challenges ({ended.length})
+          </button>
+          {showEnded && <ul className="mt-2 space-y-3">{ended.map(card)}</ul>}
+        </>
+      )}
     </div>
   );
 }
@@ -652,7 +2752,12 @@ export default function App() {
   const [profiles, setProfiles] = useState(loadProfiles());
   const [person, setPerson] = useState(profiles[0] || "");
   const [state, setState] = useState(() => loadPersonState(person));
-  const [undoStack, setUndoStack] = useState([]);
+  const [undoStack, setUndoStack] = useState([]); // [{ entry }] newest first
+  const [undoToast, setUndoToast] = useState(null); // entry shown in the toast
+
+  // Background writes that didn't land (IndexedDB quota, private mode): say so instead of losing data quietly
+  const [storageError, setStorageError] = useState(null);
+  useEffect(() => onStorageError((err) => setStorageError(err?.message || String(err || "unknown error"))), []);
 
   // Apply effective theme + watch OS changes when using "system"
   useEffect(() => {
@@ -672,167 +2777,560 @@ export default function App() {
     }
   }, [state.settings.theme]);
 
+  // Retry unsynced activities from earlier sessions + on reconnect
+  useEffect(() => startOutbox(), []);
+
   // Switch person & persist
-  useEffect(() => { if (person) setState(loadPersonState(person)); }, [person]);
-  useEffect(() => { if (person) savePersonState(person, state); }, [person, state]);
+  useEffect(() => {
+    if (person) setState(loadPersonState(person));
+    setUndoStack([]);
+    setUndoToast(null);
+  }, [person]);
+  // state.name guard: on a switch, the first render still holds the previous person's state
+  useEffect(() => { if (person && state.name === person) savePersonState(person, state); }, [person, state]);
+
+  const { settings, history, xp, level } = state;
+
+  // ---- TEAM QUEST CATALOG: shared quests (versioned) + this profile's own ----
+  const [catalog, setCatalog] = useState(loadCatalog);
+  const quests = useMemo(() => questsFor(catalog, state.quests), [catalog, state.quests]);
+  const storeCatalog = useCallback((next) => {
+    setCatalog(next);
+    saveCatalog(next);
+  }, []);
+  /** New catalog version with `sharedQuests`; queued for the sheet so other devices pick it up. */
+  const publishCatalog = (sharedQuests) => {
+    const next = nextCatalog(catalog, sharedQuests);
+    storeCatalog(next);
+    queueCatalog(next);
+  };
+  /** Pull the sheet's catalog; returns a short status line. Compares with storage, so it never reads a stale render. */
+  const checkCatalog = useCallback(async () => {
+    const remote = await requestCatalog();
+    if (!remote) return "Nothing published on the sheet yet.";
+    const incoming = parseCatalog(remote);
+    const current = loadCatalog();
+    if (!isNewerCatalog(incoming, current)) return `Up to date (v${current.version}).`;
+    storeCatalog(incoming);
+    return `Updated to v${incoming.version}.`;
+  }, [storeCatalog]);
+  useEffect(() => {
+    if (isBackendConfigured()) checkCatalog().catch(err => console.warn("Catalog check failed:", err));
+  }, [checkCatalog]);
+  // Shared quest values change for the whole team either way: the import is manager-only
+  const importCatalogFile = (file) => requireManager(async () => {
+    let incoming;
+    try { incoming = parseCatalog(await file.text()); }
+    catch (err) { alert(`Could not read catalog: ${err.message}`); return; }
+    const current = loadCatalog();
+    if (isNewerCatalog(incoming, current)) {
+      storeCatalog(incoming);
+      alert(`Catalog updated to v${incoming.version}.`);
+      return;
+    }
+    // Rolling back to an older file becomes a new version
+    if (!confirm(`This file is v${incoming.version}; you have v${current.version}. Publish its quests as v${current.version + 1}?`)) return;
+    publishCatalog(incoming.quests);
+  });
 
-  const { settings, quests, history, xp, level, streak, lastGoalDate } = state;
   const dateToday = todayISO();
   const historyToday = useMemo(() => history.filter(h => h.date === dateToday).sort((a,b)=>b.timestamp-a.timestamp), [history, dateToday]);
   const nextXP = useMemo(() => xpForLevel(level), [level]);
+  const xpIntoLevel = useMemo(() => levelFromXP(xp).into, [xp]);
+
+  // ---- SEASONS (local time): archive every profile's finished season, start the next ----
+  const [seasonConfig, setSeasonConfig] = useState(loadSeasonConfig);
+  const [seasonArchive, setSeasonArchive] = useState(loadSeasonArchive);
+  const [showSeasons, setShowSeasons] = useState(false);
 
-  // ---- WEEKLY AUTO RESET (local time) ----
   useEffect(() => {
-    const checkWeek = () => {
-      const nowKey = isoWeekKey(new Date());
-      setState(s => {
-        if (s.weekKey !== nowKey) {
-          return { ...s, level: WEEKLY_RESET_LEVEL, xp: WEEKLY_RESET_XP, weekKey: nowKey };
-        }
-        return s;
-      });
+    const checkSeason = () => {
+      const changed = rolloverSeasons({ teamOf: (p) => teamOf(loadTeams(), p) });
+      if (!changed.length) return;
+      setSeasonArchive(loadSeasonArchive());
+      if (person && changed.includes(person)) setState(loadPersonState(person));
     };
-    checkWeek();
-    const id = setInterval(checkWeek, 15 * 60 * 1000); // every 15 min
+    checkSeason();
+    const id = setInterval(checkSeason, 15 * 60 * 1000); // every 15 min
     return () => clearInterval(id);
-  }, [person]);
+  }, [person, profiles]);
 
-  // Central entry add (used by quests + timer)
-  const addEntry = async ({ title, category, points, emoji, questId=null }) => {
-    if (!person) { alert("Select or add a person first."); return; }
+  // Streaks depend on the date too (a missed working day only counts once it is over)
+  useEffect(() => {
+    setState(s => recomputeProgress(s));
+  }, [person, dateToday]);
+
+  const changeSeasonConfig = (next) => {
+    applySeasonConfig(next);
+    setSeasonConfig(next);
+    if (person) setState(loadPersonState(person));
+  };
+
+  // ---- BADGES: record unlocks and celebrate new ones ----
+  const [customBadges, setCustomBadges] = useState(loadCustomBadges);
+  const badges = useMemo(() => [...DEFAULT_BADGES, ...customBadges], [customBadges]);
+  const [celebrate, setCelebrate] = useState([]);
+
+  useEffect(() => {
+    if (!person || state.name !== person) return; // state not switched over yet
+    const { badgesEarned, unlocked, changed } = evaluateBadges(state, badges);
+    if (!changed) return;
+    setState(s => ({ ...s, badgesEarned }));
+    if (unlocked.length) {
+      setCelebrate(unlocked);
+      audioEngine.beep(880, 250, "triangle");
+      setTimeout(() => audioEngine.beep(1320, 400, "triangle"), 220);
+    }
+  }, [person, state, badges]);
+
+  const updateCustomBadges = (next) => {
+    setCustomBadges(next);
+    saveCustomBadges(next);
+  };
+
+  // ---- TEAMS & MANAGER ROLE (no PIN set = everyone is manager) ----
+  const [teams, setTeams] = useState(loadTeams);
+  const [hasPin, setHasPin] = useState(hasManagerPin);
+  const [managerUnlocked, setManagerUnlocked] = useState(false);
+  const [pinPrompt, setPinPrompt] = useState(null); // { action } waiting for the PIN
+  const [showTeams, setShowTeams] = useState(false);
+  const isManager = !hasPin || managerUnlocked;
+
+  /** Run a manager-only action now, or once the PIN has been entered. */
+  const requireManager = (action = () => {}) => {
+    if (isManager) action();
+    else setPinPrompt({ action });
+  };
+  const updateTeams = (next) => {
+    setTeams(next);
+    saveTeams(next);
+  };
 
-    const entry = {
+  // ---- CHALLENGES: device-wide, mirrored to the sheet; winners recorded once they end ----
+  const [challenges, setChallenges] = useState(loadChallenges);
+  const [challengeRemote, setChallengeRemote] = useState({}); // { [challengeId]: { [person]: value } }
+  // Keyed on state.name, not person: right after a switch `history` still belongs to the previous person
+  const historyOf = useCallback(
+    (p) => (p === state.name ? history : profiles.includes(p) ? loadPersonState(p).history : null),
+    [state.name, history, profiles]
+  );
+
+  const storeChallenges = useCallback((next, changed) => {
+    setChallenges(next);
+    saveChallenges(next);
+    changed.forEach(queueChallenge);
+  }, []);
+  const createChallenge = (c) => storeChallenges([c, ...challenges], [c]);
+  const deleteChallenge = (c) => {
+    if (!confirm(`Delete challenge "${c.title}"?`)) return;
+    const tomb = { ...c, deleted: true, updatedAt: Date.now() };
+    storeChallenges(challenges.map(x => x.id === c.id ? tomb : x), [tomb]);
+  };
+  // Merged into the current list: challenges created while the sheet was being read stay
+  const syncedChallenges = (remote, standings) => {
+    setChallenges(current => {
+      const next = mergeChallenges(current, remote);
+      saveChallenges(next);
+      return next;
+    });
+    setChallengeRemote(standings);
+  };
+
+  useEffect(() => {
+    const { challenges: next, settled } = settleChallenges(challenges, historyOf, challengeRemote, {
+      today: dateToday,
+      requireRemote: isBackendConfigured(),
+    });
+    if (settled.length) storeChallenges(next, settled);
+  }, [challenges, challengeRemote, dateToday, historyOf, storeChallenges]);
+
+  /**
+   * A scored history entry, scored against `prior` (the history it will be appended to).
+   * `externalId` marks entries from an integration (CRM); `at` backdates them to when the work happened.
+   */
+  const buildEntry = ({ title, category, points, emoji, questId=null, focus=null, deal=null, notes="", tags=[], externalId=null, at=null }, prior) => {
+    const timestamp = at || Date.now();
+    const date = todayISO(new Date(timestamp));
+    const scored = scoreEntry(
+      { questId, category: category || "General", date, timestamp, basePoints: points, dealValue: deal?.value },
+      { history: prior, rules: state.scoringRules || [], quest: quests.find(q => q.id === questId) }
+    );
+    const shared = quests.find(q => q.id === questId)?.shared;
+
+    return {
       id: uid(),
-      date: dateToday,
+      date,
       questId,
       title,
       category: category || "General",
-      points,
+      points: scored.points,
+      basePoints: scored.basePoints,
+      rules: scored.rules,
       emoji,
-      timestamp: Date.now()
+      timestamp,
+      ...(shared ? { catalogVersion: catalog.version } : {}),
+      ...(focus ? { focus } : {}),
+      ...(deal ? { deal } : {}),
+      ...(notes ? { notes } : {}),
+      ...(tags.length ? { tags } : {}),
+      ...(externalId ? { externalId } : {}),
     };
+  };
 
-    const newHistory = [...history, entry];
-    const newXP = xp + points;
-
-    // Level-up math
-    let newLevel = level;
-    let remainder = newXP;
-    let needed = xpForLevel(newLevel);
-    while (remainder >= needed) {
-      remainder -= needed;
-      newLevel += 1;
-      needed = xpForLevel(newLevel);
-    }
+  // History as of the last entry added: two taps before the next render must still see
+  // each other for daily caps and diminishing returns (re-synced on every render)
+  const latestHistory = useRef(history);
+  latestHistory.current = history;
 
-    // Streak logic
-    const totalToday = newHistory.filter(h => h.date === dateToday).reduce((s, h) => s + h.points, 0);
-    let newStreak = streak;
-    let newLastGoalDate = lastGoalDate;
-    if (totalToday >= settings.dailyGoal && lastGoalDate !== dateToday) {
-      const y = new Date(dateToday); y.setDate(y.getDate() - 1);
-      const yISO = y.toISOString().slice(0, 10);
-      newStreak = (lastGoalDate === yISO) ? streak + 1 : 1;
-      newLastGoalDate = dateToday;
-    }
+  // Central entry add (used by quests + timer)
+  const addEntry = async (fields) => {
+    if (!person) { alert("Select or add a person first."); return; }
+    const entry = buildEntry(fields, latestHistory.current);
+    latestHistory.current = [...latestHistory.current, entry];
 
-    // Save locally
-    const prev = state;
-    const next = { ...state, history: newHistory, xp: newXP, level: newLevel, streak: newStreak, lastGoalDate: newLastGoalDate, name: person };
-    setState(next);
+    // Save locally (progress is always rebuilt from history)
+    setState(s => recomputeProgress({ ...s, history: [...s.history, entry], name: person }));
 
-    // push to undo stack (kept for future Undo if you want)
-    setUndoStack((st)=>[{ entry, prev }, ...st].slice(0, 25));
+    setUndoStack((st)=>[{ entry }, ...st].slice(0, 25));
+    setUndoToast(entry);
 
-    // Save to Google Sheet (central)
-    try {
-      await saveActivityToSheet({
-        name: person,
-        date: dateToday,
-        title,
-        category: category || "General",
-        points,
-        timestamp: entry.timestamp
-      });
-    } catch (err) {
-      console.warn("Could not save to Google Sheet:", err);
-    }
+    // Save to Google Sheet (central) via the outbox so offline entries retry later
+    await queueActivity(entry.id, sheetActivity(person, entry));
   };
 
-  const completeQuest = (q) => addEntry({ title: q.title, category: q.category, points: q.points, emoji: q.emoji, questId: q.id });
+  // Corrections: edit/delete rebuild progress from history and push the change to the sheet
+  const updateEntry = (id, patch) => {
+    const current = history.find(h => h.id === id);
+    if (!current) return;
+    const updated = { ...current, ...patch };
+    setState(s => recomputeProgress({ ...s, history: s.history.map(h => h.id === id ? updated : h) }));
+    setUndoStack(st => st.map(u => u.entry.id === id ? { entry: updated } : u));
+    queueActivityUpdate(id, sheetActivity(person, updated));
+  };
+
+  const deleteEntry = (id) => {
+    const current = history.find(h => h.id === id);
+    if (!current) return;
+    setState(s => recomputeProgress({ ...s, history: s.history.filter(h => h.id !== id) }));
+    setUndoStack(st => st.filter(u => u.entry.id !== id));
+    setUndoToast(t => (t && t.id === id ? null : t));
+    queueActivityDelete(id, sheetActivity(person, current));
+  };
+
+  const undoLast = () => {
+    // A batch toast (CRM events) undoes the whole batch
+    if (undoToast?.batch) undoToast.batch.forEach(deleteEntry);
+    else if (undoStack[0]) deleteEntry(undoStack[0].entry.id);
+    setUndoToast(null);
+  };
 
-  // Quests CRUD
-  const addQuest = (q) => setState(s => ({ ...s, quests: [q, ...s.quests] }));
-  const updateQuest = (q) => setState(s => ({ ...s, quests: s.quests.map(x => x.id===q.id? q : x) }));
-  const deleteQuest = (id) => setState(s => ({ ...s, quests: s.quests.filter(q => q.id!==id) }));
+  const [detailsQuest, setDetailsQuest] = useState(null); // quest waiting for deal details / notes / tags
+  const logQuest = (q, details = {}) => addEntry({ title: q.title, category: q.category, points: q.points, emoji: q.emoji, questId: q.id, ...details });
+  const completeQuest = (q) => (q.askDeal ? setDetailsQuest(q) : logQuest(q));
+
+  // ---- CRM: events from a JSON import or the local receiver become quest completions ----
+  const [crmConfig, setCrmConfig] = useState(loadCrmConfig);
+  const [crmInboxCount, setCrmInboxCount] = useState(() => loadCrmInbox().length);
+  const [showCrm, setShowCrm] = useState(false);
+  const crmLogged = useRef(new Set()); // externalIds handed to addEntry this session (state may lag)
+  const storeCrmConfig = (next) => {
+    setCrmConfig(next);
+    saveCrmConfig(next);
+  };
+  /** Add events to the inbox and log the active person's; returns a short status line. */
+  const drainCrmInbox = (incoming = []) => {
+    const inbox = addToInbox(loadCrmInbox(), incoming);
+    const { ready, duplicates, rest } = person ? takeForPerson(inbox, person, loadCrmConfig(), history) : { ready: [], duplicates: [], rest: inbox };
+    let skipped = duplicates.length;
+    // Scored one after another against the growing history, so caps, diminishing returns and combos see the batch
+    const entries = [];
+    for (const { event, questId } of ready) {
+      const quest = quests.find(q => q.id === questId);
+      if (!quest) { rest.push(event); continue; }
+      if (crmLogged.current.has(event.externalId)) { skipped++; continue; }
+      crmLogged.current.add(event.externalId);
+      const deal = event.value != null || event.client
+        ? { ...(event.value != null ? { value: event.value } : {}), ...(event.client ? { client: event.client } : {}) }
+        : null;
+      const fields = { title: quest.title, category: quest.category, points: quest.points, emoji: quest.emoji, questId, deal, externalId: event.externalId, at: event.occurredAt };
+      entries.push(buildEntry(fields, [...latestHistory.current, ...entries]));
+    }
+    if (entries.length) {
+      latestHistory.current = [...latestHistory.current, ...entries];
+      setState(s => recomputeProgress({ ...s, history: [...s.history, ...entries], name: person }));
+      setUndoStack(st => [...[...entries].reverse().map(entry => ({ entry })), ...st].slice(0, 25));
+      setUndoToast(entries.length === 1 ? entries[0] : {
+        id: uid(),
+        emoji: "🔌",
+        title: `${entries.length} CRM events`,
+        points: entries.reduce((sum, e) => sum + e.points, 0),
+        batch: entries.map(e => e.id),
+      });
+      entries.forEach(entry => queueActivity(entry.id, sheetActivity(person, entry)));
+    }
+    const logged = entries.length;
+    saveCrmInbox(rest);
+    setCrmInboxCount(rest.length);
+    return `Logged ${logged} event${logged === 1 ? "" : "s"}` + (skipped ? `, ${skipped} already counted` : "") + (rest.length ? `, ${rest.length} waiting` : "") + ".";
+  };
+  const pollCrm = async () => {
+    const { events, cursor } = await fetchCrmEvents(crmConfig.receiverUrl, loadCrmConfig().cursor);
+    storeCrmConfig({ ...loadCrmConfig(), cursor });
+    return drainCrmInbox(events);
+  };
+  const importCrmFile = async (file) => drainCrmInbox(parseCrmImport(await file.text()));
+  // The interval below outlives renders; it calls through this ref so it always sees the current history
+  const crmActions = useRef(null);
+  crmActions.current = { drainCrmInbox, pollCrm };
+  // Log waiting events once the person's own state is loaded; poll the receiver while it's configured
+  useEffect(() => {
+    if (!person || state.name !== person) return;
+    crmActions.current.drainCrmInbox();
+    if (!crmConfig.receiverUrl) return;
+    const run = () => crmActions.current.pollCrm().catch(err => console.warn("CRM receiver poll failed:", err));
+    run();
+    const t = setInterval(run, CRM_POLL_MS);
+    return () => clearInterval(t);
+  }, [person, state.name, crmConfig.receiverUrl]);
+
+  // Quests CRUD: rep-specific quests live on the profile, shared ones in the catalog (manager only)
+  const saveQuest = ({ shared, ...q }) => {
+    const wasShared = catalog.quests.some(x => x.id === q.id);
+    if (!shared) {
+      setState(s => ({ ...s, quests: s.quests.some(x => x.id === q.id) ? s.quests.map(x => x.id===q.id? q : x) : [q, ...s.quests] }));
+      return;
+    }
+    requireManager(() => {
+      publishCatalog(wasShared ? catalog.quests.map(x => x.id===q.id? q : x) : [...catalog.quests, q]);
+      // A personal quest that was promoted now comes from the catalog
+      setState(s => ({ ...s, quests: s.quests.filter(x => x.id !== q.id) }));
+    });
+  };
+  const deleteQuest = (quest) => {
+    if (quest.shared) requireManager(() => publishCatalog(catalog.quests.filter(q => q.id !== quest.id)));
+    else setState(s => ({ ...s, quests: s.quests.filter(q => q.id!==quest.id) }));
+  };
 
   // Daily goal setter (accept any non-negative int)
   const setDailyGoal = (val) => {
     const n = Number.isFinite(val) ? Math.max(0, val) : 0;
-    setState(s => ({ ...s, settings: { ...s.settings, dailyGoal: n }}));
+    setState(s => recomputeProgress({ ...s, settings: { ...s.settings, dailyGoal: n }}));
   };
 
-  // ---- SOFT WEEKLY RESET BUTTON ----
-  const doWeeklyReset = () => {
+  // ---- SOFT SEASON RESET BUTTON (restarts XP; the season itself keeps running) ----
+  const doSeasonReset = () => {
     if (!person) return alert("Select a person first.");
-    const wk = isoWeekKey(new Date());
-    setState(s => ({ ...s, level: WEEKLY_RESET_LEVEL, xp: WEEKLY_RESET_XP, weekKey: wk }));
+    setState(s => ({ ...s, level: SEASON_RESET_LEVEL, xp: SEASON_RESET_XP, resetAt: Date.now() }));
   };
 
-  // CSV exports (keep history intact so this always works)
-  const exportCSV = () => {
-    if (!person) return alert("Select a person first.");
-    const rows = [
-      ["person","date","time","title","category","points"],
-      ...state.history.map(h=>[person, h.date, new Date(h.timestamp).toLocaleTimeString(), h.title, h.category||"", h.points]),
-    ];
-    const csv = rows.map(r=>r.map(x=>`"${String(x).replace(/"/g,'""')}"`).join(",")).join("\n");
+  // History browser: its filter also applies to exports while it's open
+  const [showHistory, setShowHistory] = useState(false);
+  const [historyFilter, setHistoryFilter] = useState(EMPTY_FILTER);
+  const activeFilter = showHistory ? historyFilter : EMPTY_FILTER;
+  const filteredSuffix = isFilterActive(activeFilter) ? "-filtered" : "";
+
+  // Exports: CSV / JSON / XLSX / focus calendar for one person, a team or everyone (history filter applies)
+  const [showExport, setShowExport] = useState(false);
+  /** [{ name, team, state }] for a scope: "person", "all" or a team id. */
+  const exportProfiles = (scope, filter = activeFilter) => {
+    const names = scope === "person" ? [person] : scope === "all" ? loadProfiles() : loadProfiles().filter(p => teams.members[p] === scope);
+    return names.filter(Boolean).map(name => {
+      const s = name === person ? state : loadPersonState(name);
+      return { name, team: teamOf(teams, name), state: { ...s, history: filterHistory(s.history || [], filter) } };
+    });
+  };
+  const scopeLabel = (scope) => scope === "person" ? person : scope === "all" ? "all" : teams.teams.find(t => t.id === scope)?.name || "team";
+
+  const runExport = (format, scope = "person") => {
+    if (scope === "person" && !person) return alert("Select a person first.");
+    const profs = exportProfiles(scope);
+    if (!profs.length) return alert("Nobody to export.");
+    const base = `sm-game-${scopeLabel(scope)}-${todayISO()}${filteredSuffix}`;
+    const rows = profs.flatMap(p => entryRows(p.name, p.team, p.state.history));
+    if (format === "csv") downloadFile(`${base}.csv`, toCSV(rows), "text/csv");
+    if (format === "json") downloadFile(`${base}.json`, toJSON(profs), "application/json");
+    if (format === "xlsx") {
+      const summary = summaryRows(profs);
+      downloadFile(`${base}.xlsx`, toXLSX([
+        { name: "Activity", columns: EXPORT_COLUMNS, rows },
+        { name: "Profiles", columns: Object.keys(summary[0]), rows: summary },
+      ]), "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+    }
+    if (format === "ics") {
+      const blocks = profs.flatMap(p => (p.state.focusLog || []).map(f => ({ ...f, person: p.name })));
+      const allQuests = profs.flatMap(p => questsFor(catalog, p.state.quests));
+      downloadFile(`sm-game-focus-${scopeLabel(scope)}.ics`, focusICS(scope === "person" ? person : `${scopeLabel(scope)} team`, blocks, allQuests), "text/calendar");
+    }
+  };
+  const exportCSV = () => runExport("csv", "person");
+
+  /** Printable weekly report; `offset` 0 = this week, -1 = last week. */
+  const openWeeklyReport = (scope, offset) => {
+    if (scope === "person" && !person) return alert("Select a person first.");
+    const week = reportWeek(todayISO(), offset);
+    const summaries = exportProfiles(scope, EMPTY_FILTER).map(p => weeklySummary(p, week, badges));
+    if (!summaries.length) return alert("Nobody to report on.");
+    const title = scope === "person" ? `${person} · weekly report` : `${scope === "all" ? "Team" : scopeLabel(scope)} · weekly report`;
+    if (!openPrintable(weeklyReportHTML({ title, ...week, summaries, currency: settings.currency || "USD" }))) {
+      alert("Allow pop-ups for this site to open the printable report.");
+    }
+  };
+
+  // JSON backup / restore (every profile, every field)
+  const [restorePreview, setRestorePreview] = useState(null);
+
+  const downloadBackup = () => {
     const a = document.createElement("a");
-    a.href = URL.createObjectURL(new Blob([csv], {type:"text/csv"}));
-    a.download = `sm-game-${person}-${todayISO()}.csv`;
+    a.href = URL.createObjectURL(new Blob([JSON.stringify(createBackup(), null, 2)], { type: "application/json" }));
+    a.download = `sm-game-backup-${todayISO()}.json`;
     a.click();
     URL.revokeObjectURL(a.href);
   };
 
-  function exportAllProfilesCSV() {
-    const profs = loadProfiles();
-    const rows = [["person","date","time","title","category","points","level","streak"]];
-    for (const p of profs) {
-      const s = loadPersonState(p);
-      for (const h of s.history || []) {
-        rows.push([
-          p,
-          h.date,
-          new Date(h.timestamp).toLocaleTimeString(),
-          h.title,
-          h.category||"",
-          h.points,
-          s.level,
-          s.streak
-        ]);
-      }
+  // Restoring overwrites profiles and device data: manager only
+  const openRestoreFile = (file) => requireManager(async () => {
+    try {
+      setRestorePreview(parseBackup(await file.text()));
+    } catch (err) {
+      alert(`Could not read backup: ${err.message}`);
     }
-    const csv = rows.map(r=>r.map(x=>`"${String(x).replace(/"/g,'""')}"`).join(",")).join("\n");
-    const a = document.createElement("a");
-    a.href = URL.createObjectURL(new Blob([csv], {type:"text/csv"}));
-    a.download = `sm-game-all-${todayISO()}.csv`;
-    a.click();
-    URL.revokeObjectURL(a.href);
-  }
+  });
+
+  const applyRestore = (choices, sharedKeys) => {
+    const written = applyBackup(restorePreview, choices, sharedKeys);
+    setRestorePreview(null);
+    if (sharedKeys.length) {
+      setTeams(loadTeams());
+      setCatalog(loadCatalog());
+      setSeasonConfig(loadSeasonConfig());
+      setSeasonArchive(loadSeasonArchive());
+      setCustomBadges(loadCustomBadges());
+      setChallenges(loadChallenges());
+    }
+    const profs = loadProfiles();
+    setProfiles(profs);
+    if (person && written.includes(person)) setState(loadPersonState(person));
+    else if (!person && profs.length) setPerson(profs[0]);
+    alert(`Restored ${written.length} profile${written.length===1?'':'s'}.`);
+  };
+
+  // CSV import of historical activities
+  const [csvImport, setCsvImport] = useState(null); // { fileName, text }
+
+  const openCsvFile = async (file) => {
+    setCsvImport({ fileName: file.name, text: await file.text() });
+  };
+
+  const applyCsvPlan = (plan) => {
+    const names = applyCsvImport(plan);
+    setCsvImport(null);
+    const profs = loadProfiles();
+    setProfiles(profs);
+    if (person && names.includes(person)) setState(loadPersonState(person));
+    else if (!person && profs.length) setPerson(profs[0]);
+    alert(`Imported ${plan.total} entr${plan.total===1?'y':'ies'} into ${names.length} profile${names.length===1?'':'s'}.`);
+  };
 
   // UI filters
   const [editing, setEditing] = useState(null);
+  const [showRules, setShowRules] = useState(false);
+  const [showCatalog, setShowCatalog] = useState(false);
+  const [showBadgeEditor, setShowBadgeEditor] = useState(false);
+  const [showAnalytics, setShowAnalytics] = useState(false);
+  // Backend and storage settings are manager-only; a fresh device without a PIN opens them straight away
+  const [showSettings, setShowSettings] = useState(() => !isBackendConfigured() && !hasManagerPin());
   const [tab, setTab] = useState('All');
   const categories = ['All', ...Array.from(new Set(quests.map(q=>q.category)))];
   const filteredQuests = quests.filter(q => tab==='All' || q.category===tab);
+  const checklist = useMemo(() => todayChecklist(quests, history, settings, dateToday), [quests, history, settings, dateToday]);
+  const checklistOpen = checklist.filter(r => r.status !== "done").length;
+
+  // ---- REMINDERS: only while the app is open; upcoming ones are handed to the service worker, due ones fire here (sound + toast) ----
+  const [showReminders, setShowReminders] = useState(false);
+  const [reminderToast, setReminderToast] = useState(null); // { title, body, questId }
+  const [highlightQuest, setHighlightQuest] = useState(null);
+  const [clock, setClock] = useState(Date.now());
+  useEffect(() => {
+    const t = setInterval(() => setClock(Date.now()), REMINDER_TICK_MS);
+    return () => clearInterval(t);
+  }, []);
+
+  const reminderPlan = useMemo(() => {
+    if (!person || state.name !== person) return [];
+    const outstanding = checklist.filter(r => r.status !== "done").map(r => r.quest);
+    return planReminders({ history, settings, streak: state.streak, quests, outstanding, today: dateToday });
+  }, [person, state.name, history, settings, state.streak, quests, checklist, dateToday]);
+
+  // Withdraw scheduled ones that no longer apply (goal reached, reminder edited, person switched)
+  const scheduledReminders = useRef(new Set());
+  useEffect(() => {
+    const fired = person ? firedToday(person, dateToday) : [];
+    const upcoming = reminderPlan.filter(p => p.at > Date.now() && !fired.includes(p.reminder.id));
+    const tags = new Set(upcoming.map(p => reminderTag(p.reminder.id)));
+    for (const tag of scheduledReminders.current) if (!tags.has(tag)) cancelSystemNotification(tag);
+    for (const p of upcoming) scheduleSystemNotification(reminderTag(p.reminder.id), p.at, p.message.title, reminderOptions(p));
+    scheduledReminders.current = tags;
+  }, [person, dateToday, reminderPlan]);
+
+  useEffect(() => {
+    if (!person || isQuietTime(clock, settings)) return;
+    const fired = firedToday(person, dateToday);
+    const due = reminderPlan.filter(p => p.at <= clock && !fired.includes(p.reminder.id));
+    if (!due.length) return;
+    for (const p of due) {
+      markFired(person, p.reminder.id, dateToday);
+      // Same tag as the scheduled one, so a notification the browser already showed is replaced, not doubled
+      showSystemNotification(p.message.title, reminderOptions(p));
+    }
+    if (settings.reminderSound !== false) {
+      audioEngine.beep(660, 180, "sine");
+      setTimeout(() => audioEngine.beep(880, 260, "sine"), 200);
+    }
+    setReminderToast(due[due.length - 1].message);
+  }, [person, settings, dateToday, reminderPlan, clock]);
+
+  /** Deep link target: show the quest's card and flash it. */
+  const focusQuest = useCallback((questId) => {
+    setTab('All');
+    setHighlightQuest(questId);
+    setReminderToast(null);
+  }, []);
+  useEffect(() => {
+    if (!highlightQuest) return;
+    document.getElementById(`quest-${highlightQuest}`)?.scrollIntoView({ behavior: "smooth", block: "center" });
+    const t = setTimeout(() => setHighlightQuest(null), 4000);
+    return () => clearTimeout(t);
+  }, [highlightQuest]);
+  // Clicked notification: relayed by the service worker, or opened as /?quest=<id>
+  useEffect(() => onNotificationClick(({ data }) => { if (data?.questId) focusQuest(data.questId); }), [focusQuest]);
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.search);
+    const questId = params.get("quest");
+    if (!questId) return;
+    focusQuest(questId);
+    params.delete("quest");
+    window.history.replaceState(null, "", window.location.pathname + (params.toString() ? `?${params}` : "") + window.location.hash);
+  }, [focusQuest]);
 
   // Focus timer completion → award points
-  const handleTimerComplete = (mode) => {
-    const points = mode === 'work' ? 25 : mode === 'short' ? 5 : 15;
-    const title = mode === 'work' ? "Focus block (Work)" : mode === 'short' ? "Focus block (Short break)" : "Focus block (Long break)";
-    addEntry({ title, category: "Ops", points, emoji: "⏱️" });
+  const handleTimerComplete = ({ mode, questId, minutes }) => {
+    const points = settings.timerPoints?.[mode] ?? 0;
+    const quest = quests.find(q => q.id === questId);
+    const title = mode !== 'work' ? `${MODE_LABEL[mode]} – ${minutes} min`
+      : quest ? `Focus: ${quest.title} – ${minutes} min`
+      : `Focus block – ${minutes} min`;
+    // Not logged as the quest itself (that would count as a completion); the link lives in entry.focus
+    addEntry({ title, category: quest?.category || "Ops", points, emoji: "⏱️", focus: { mode, questId: quest?.id || null, minutes } });
   };
 
+  // Every finished work block counts as a focus session, whether or not points were logged
+  const recordFocusBlock = ({ mode, questId, minutes, finishedAt }) => {
+    if (mode !== 'work') return;
+    const session = { id: uid(), date: todayISO(new Date(finishedAt)), questId, minutes, finishedAt };
+    setState(s => ({ ...s, focusLog: [...(s.focusLog || []), session] }));
+  };
+  const focusToday = (state.focusLog || []).filter(f => f.date === dateToday).length;
+
   return (
     <div className="min-h-screen bg-gradient-to-b from-gray-50 to-gray-100 dark:from-gray-900 dark:to-black text-gray-900 dark:text-gray-100">
       <div className="max-w-6xl mx-auto p-4 md:p-8">
@@ -840,26 +3338,113 @@ export default function App() {
         <div className="flex flex-col gap-4">
           <Header
             level={level}
-            xp={xp % nextXP}
+            xp={xpIntoLevel}
             nextXP={nextXP}
-            onReset={doWeeklyReset}
+            seasonStart={state.seasonStart}
+            seasonEnd={state.seasonEnd}
+            onReset={()=>requireManager(doSeasonReset)}
+            onOpenSeasons={()=>setShowSeasons(v=>!v)}
             theme={state.settings.theme}
             setTheme={(t)=>setState(s=>({...s, settings:{...s.settings, theme:t}}))}
-            onExportAllCSV={exportAllProfilesCSV}
+            onOpenExport={()=>setShowExport(v=>!v)}
+            onBackup={downloadBackup}
+            onRestoreFile={openRestoreFile}
+            onOpenSettings={()=>showSettings ? setShowSettings(false) : requireManager(()=>setShowSettings(true))}
           />
+          {storageError && (
+            <div role="alert" className="flex items-start gap-3 px-4 py-3 rounded-2xl text-sm bg-red-100 text-red-800 dark:bg-red-900/40 dark:text-red-200">
+              <span className="flex-1">
+                Couldn't save to this device's {getStorage().kind} storage ({storageError}). Recent changes may be lost on reload —
+                download a backup, or switch the storage backend in Settings.
+              </span>
+              <button onClick={()=>setStorageError(null)} aria-label="Dismiss" className="opacity-70">✕</button>
+            </div>
+          )}
+          {showSettings && <BackendSettings onClose={()=>setShowSettings(false)} />}
+          {showExport && (
+            <ExportPanel
+              person={person}
+              teams={teams}
+              filtered={isFilterActive(activeFilter)}
+              onExport={runExport}
+              onReport={openWeeklyReport}
+              onClose={()=>setShowExport(false)}
+            />
+          )}
+          {showSeasons && (
+            <SeasonsPanel
+              archive={seasonArchive}
+              config={seasonConfig}
+              requireManager={requireManager}
+              onChangeConfig={changeSeasonConfig}
+              onClose={()=>setShowSeasons(false)}
+            />
+          )}
+          {restorePreview && (
+            <RestorePanel parsed={restorePreview} onApply={applyRestore} onCancel={()=>setRestorePreview(null)} />
+          )}
           <PeopleBar
             person={person}
             setPerson={setPerson}
             profiles={profiles}
             setProfiles={setProfiles}
+            teams={teams}
+            isManager={isManager}
+            hasPin={hasPin}
+            requireManager={requireManager}
+            onLock={()=>setManagerUnlocked(false)}
+            onRemovePerson={(p)=>updateTeams(assignPerson(teams, p, null))}
+            onOpenTeams={()=>requireManager(()=>setShowTeams(v=>!v))}
             onExportCSV={exportCSV}
+            onImportCSVFile={openCsvFile}
           />
+          {showTeams && (
+            <TeamsPanel
+              teams={teams}
+              profiles={profiles}
+              onChange={updateTeams}
+              hasPin={hasPin}
+              onPinChanged={()=>{ setHasPin(hasManagerPin()); setManagerUnlocked(true); }}
+              onClose={()=>setShowTeams(false)}
+            />
+          )}
+          {detailsQuest && (
+            <CompletionPrompt
+              quest={detailsQuest}
+              currency={settings.currency || "USD"}
+              onSubmit={(details)=>{ logQuest(detailsQuest, details); setDetailsQuest(null); }}
+              onCancel={()=>setDetailsQuest(null)}
+            />
+          )}
+          {pinPrompt && (
+            <ManagerPinPrompt
+              onUnlock={()=>{ setManagerUnlocked(true); setPinPrompt(null); pinPrompt.action(); }}
+              onCancel={()=>setPinPrompt(null)}
+            />
+          )}
+          {csvImport && (
+            <CsvImportPanel
+              fileName={csvImport.fileName}
+              text={csvImport.text}
+              fallbackPerson={person}
+              onApply={applyCsvPlan}
+              onCancel={()=>setCsvImport(null)}
+            />
+          )}
         </div>
 
         <div className="grid md:grid-cols-3 gap-6 mt-6">
           {/* LEFT: Game panel */}
           <div className="md:col-span-2 space-y-6">
-            <DailyProgress historyToday={historyToday} dailyGoal={settings.dailyGoal} onSetGoal={setDailyGoal} />
+            <DailyProgress historyToday={historyToday} dailyGoal={settings.dailyGoal} onSetGoal={setDailyGoal} locked={!isManager} onUnlock={()=>requireManager()} />
+            <Goals
+              goals={state.goals || []}
+              history={history}
+              settings={settings}
+              quests={quests}
+              requireManager={requireManager}
+              onChange={(goals)=>setState(s=>recomputeProgress({ ...s, goals }))}
+            />
 
             {/* Tabs & New quest */}
             <div className="flex flex-wrap gap-2">
@@ -868,35 +3453,146 @@ export default function App() {
                   {c}
                 </button>
               ))}
+              <button onClick={()=>setTab(TODAY_TAB)} className={TAB_BTN + (tab===TODAY_TAB?' !bg-black !text-white dark:!bg-white dark:!text-black':'')}>
+                📋 Today{checklistOpen > 0 && ` (${checklistOpen})`}
+              </button>
               <button onClick={()=>setEditing({})} className={TAB_BTN}>+ New Quest</button>
+              <button onClick={()=>setShowRules(v=>!v)} className={TAB_BTN}>⚡ Scoring rules</button>
+              <button onClick={()=>setShowCatalog(v=>!v)} className={TAB_BTN}>📚 Catalog v{catalog.version}</button>
+              <button onClick={()=>setShowCrm(v=>!v)} className={TAB_BTN}>🔌 CRM{crmInboxCount > 0 && ` (${crmInboxCount})`}</button>
             </div>
 
             {editing && (
               <QuestEditor
                 initial={editing.id? editing : null}
-                onSave={(q)=>{ editing.id? updateQuest(q) : addQuest(q); setEditing(null); }}
+                onSave={(q)=>{ saveQuest(q); setEditing(null); }}
                 onCancel={()=>setEditing(null)}
               />
             )}
 
-            {/* Quests grid */}
+            {showCatalog && (
+              <CatalogPanel
+                catalog={catalog}
+                onImportFile={importCatalogFile}
+                onCheckForUpdates={checkCatalog}
+                onClose={()=>setShowCatalog(false)}
+              />
+            )}
+
+            {showCrm && (
+              <CrmPanel
+                config={crmConfig}
+                quests={quests}
+                profiles={profiles}
+                inboxCount={crmInboxCount}
+                onChangeConfig={(next)=>requireManager(()=>storeCrmConfig(next))}
+                onCheckNow={pollCrm}
+                onImportFile={importCrmFile}
+                onClose={()=>setShowCrm(false)}
+              />
+            )}
+
+            {showRules && (
+              <ScoringRulesEditor
+                rules={state.scoringRules || []}
+                quests={quests}
+                timerPoints={settings.timerPoints}
+                onChange={(scoringRules)=>setState(s=>({ ...s, scoringRules }))}
+                onChangeTimerPoints={(timerPoints)=>setState(s=>({ ...s, settings: { ...s.settings, timerPoints } }))}
+                onClose={()=>setShowRules(false)}
+              />
+            )}
+
+            {/* Quests grid, or the checklist of scheduled quests */}
+            {tab === TODAY_TAB ? <TodayChecklist rows={checklist} onComplete={completeQuest} /> : (
             <div className="grid sm:grid-cols-2 xl:grid-cols-3 gap-4">
               {filteredQuests.map(q => (
-                <QuestCard key={q.id} quest={q} onComplete={completeQuest} onEdit={setEditing} onDelete={deleteQuest} />
+                <QuestCard
+                  key={q.id}
+                  quest={q}
+                  highlighted={highlightQuest === q.id}
+                  onComplete={completeQuest}
+                  onCompleteWithDetails={setDetailsQuest}
+                  onEdit={(quest)=>quest.shared ? requireManager(()=>setEditing(quest)) : setEditing(quest)}
+                  onDelete={()=>deleteQuest(q)}
+                />
               ))}
             </div>
+            )}
+
+            <History history={historyToday} currency={settings.currency || "USD"} onUpdateEntry={updateEntry} onDeleteEntry={deleteEntry} onBrowse={()=>setShowHistory(v=>!v)} />
+
+            {showHistory && (
+              <HistoryBrowser
+                history={history}
+                quests={quests}
+                filter={historyFilter}
+                currency={settings.currency || "USD"}
+                onChangeFilter={setHistoryFilter}
+                onUpdateEntry={updateEntry}
+                onDeleteEntry={deleteEntry}
+                onExport={exportCSV}
+                onClose={()=>setShowHistory(false)}
+              />
+            )}
 
-            <History history={historyToday} />
+            {showAnalytics && (
+              <Analytics person={person} personHistory={history} profiles={profiles} dailyGoal={settings.dailyGoal} onClose={()=>setShowAnalytics(false)} />
+            )}
 
-            {/* Local leaderboard across profiles */}
-            <Leaderboard profiles={profiles} />
+            {/* Leaderboard: local profiles or the team sheet */}
+            <Leaderboard profiles={profiles} teams={teams} />
+
+            <Challenges
+              challenges={challenges}
+              profiles={profiles}
+              quests={quests}
+              historyOf={historyOf}
+              remoteStandings={challengeRemote}
+              requireManager={requireManager}
+              onCreate={createChallenge}
+              onDelete={(c)=>requireManager(()=>deleteChallenge(c))}
+              onSynced={syncedChallenges}
+            />
           </div>
 
           {/* RIGHT: Stats / Badges / Timer / Tips */}
           <div className="space-y-6">
-            <Stats allHistory={history} streak={streak} level={level} />
-            <Badges allHistory={history} level={level} dailyGoal={settings.dailyGoal} />
-            <Timer settings={settings} onTimerComplete={handleTimerComplete} />
+            <Stats
+              allHistory={history}
+              state={state}
+              onChangeSettings={(patch)=>setState(s=>recomputeProgress({ ...s, settings: { ...s.settings, ...patch } }))}
+              onOpenAnalytics={()=>setShowAnalytics(v=>!v)}
+              onOpenReminders={()=>setShowReminders(v=>!v)}
+            />
+            {showReminders && (
+              <RemindersPanel
+                settings={settings}
+                quests={quests}
+                onChange={(patch)=>setState(s=>({ ...s, settings: { ...s.settings, ...patch } }))}
+                onClose={()=>setShowReminders(false)}
+              />
+            )}
+            <RevenuePanel
+              history={history}
+              seasonStart={state.seasonStart}
+              currency={settings.currency || "USD"}
+              onChangeCurrency={(currency)=>setState(s=>({ ...s, settings: { ...s.settings, currency } }))}
+            />
+            <Badges state={state} badges={badges} onManage={()=>setShowBadgeEditor(v=>!v)} />
+            {showBadgeEditor && (
+              <BadgeEditor badges={customBadges} quests={quests} onChange={updateCustomBadges} onClose={()=>setShowBadgeEditor(false)} />
+            )}
+            <Timer
+              settings={settings}
+              timer={state.timer || makeIdleTimer()}
+              quests={quests}
+              focusToday={focusToday}
+              onChange={(timer)=>setState(s=>({ ...s, timer }))}
+              onChangeSettings={(patch)=>setState(s=>({ ...s, settings: { ...s.settings, ...patch } }))}
+              onBlockFinished={recordFocusBlock}
+              onTimerComplete={handleTimerComplete}
+            />
 
             <div className="p-4 rounded-2xl border shadow-sm bg-white/60 dark:bg-gray-900/60 border-gray-200 dark:border-gray-700">
               <h3 className="font-semibold mb-2">Tips</h3>
@@ -904,13 +3600,23 @@ export default function App() {
                 <li>Weight high-impact actions with higher points.</li>
                 <li>Hit your daily goal to build streaks.</li>
                 <li>Use the timer for deep work blocks.</li>
-                <li>Export data weekly as a backup.</li>
+                <li>Download a JSON backup every week (and before switching phones).</li>
               </ul>
             </div>
           </div>
         </div>
 
-        <footer className="text-xs opacity-60 mt-10">Multi-user • Weekly reset keeps history • Local leaderboard • CSV export</footer>
+        {celebrate.length > 0 && <BadgeCelebration badges={celebrate} onClose={()=>setCelebrate([])} />}
+
+        {undoToast && (
+          <UndoToast entry={undoToast} onUndo={undoLast} onClose={() => setUndoToast(null)} />
+        )}
+
+        {reminderToast && (
+          <ReminderToast message={reminderToast} onOpen={()=>focusQuest(reminderToast.questId)} onClose={()=>setReminderToast(null)} />
+        )}
+
+        <footer className="text-xs opacity-60 mt-10">Multi-user • Season resets keep history • Local & team leaderboard • CSV export • Offline outbox</footer>
       </div>
     </div>
   );
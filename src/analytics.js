@@ -0,0 +1,116 @@
+// src/analytics.js
+// Aggregations over history for the analytics view. Everything works on calendar
+// days in local time, so days with no activity show up as zeros.
+
+import { todayISO, addDaysISO, parseISODate, isoWeekKey } from "./game.js";
+
+export const WEEKDAYS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+
+/** The last `days` calendar dates ending today, oldest first. */
+export function lastNDates(days, end = todayISO()) {
+  return Array.from({ length: days }, (_, i) => addDaysISO(end, i - days + 1));
+}
+
+/** Entries whose date falls in the last `days` calendar days. */
+export function inLastDays(history, days, end = todayISO()) {
+  const start = addDaysISO(end, -days + 1);
+  return history.filter((h) => h.date >= start && h.date <= end);
+}
+
+/** [{ date, points, count }] for each of the last `days` days. */
+export function dailyPoints(history, days, end = todayISO()) {
+  const byDate = {};
+  for (const h of history) {
+    const d = (byDate[h.date] = byDate[h.date] || { points: 0, count: 0 });
+    d.points += h.points || 0;
+    d.count += 1;
+  }
+  return lastNDates(days, end).map((date) => ({ date, points: byDate[date]?.points || 0, count: byDate[date]?.count || 0 }));
+}
+
+function groupBy(history, keyOf) {
+  const out = {};
+  for (const h of history) {
+    const k = keyOf(h);
+    const g = (out[k] = out[k] || { key: k, points: 0, count: 0 });
+    g.points += h.points || 0;
+    g.count += 1;
+  }
+  return Object.values(out);
+}
+
+/** [{ key: category, points, count }] sorted by points. */
+export function byCategory(history) {
+  return groupBy(history, (h) => h.category || "General").sort((a, b) => b.points - a.points);
+}
+
+/** [{ key: title, emoji, points, count }] sorted by completions. */
+export function byQuest(history) {
+  const emoji = {};
+  for (const h of history) emoji[h.title] = h.emoji;
+  return groupBy(history, (h) => h.title)
+    .map((g) => ({ ...g, emoji: emoji[g.key] || "🎯" }))
+    .sort((a, b) => b.count - a.count);
+}
+
+/** 7×24 grid of completions, rows Mon..Sun, columns hour 0..23. */
+export function weekdayHourGrid(history) {
+  const grid = Array.from({ length: 7 }, () => Array(24).fill(0));
+  for (const h of history) {
+    const d = new Date(h.timestamp);
+    grid[(d.getDay() + 6) % 7][d.getHours()] += 1;
+  }
+  return grid;
+}
+
+/** This ISO week vs the previous one (same Mon-based weeks as the weekly reset). */
+export function weekOverWeek(history, now = new Date()) {
+  const thisKey = isoWeekKey(now);
+  const prev = new Date(now);
+  prev.setDate(prev.getDate() - 7);
+  const prevKey = isoWeekKey(prev);
+  const sum = (key) => {
+    const rows = history.filter((h) => isoWeekKey(parseISODate(h.date)) === key);
+    return { points: rows.reduce((s, h) => s + (h.points || 0), 0), count: rows.length, categories: byCategory(rows) };
+  };
+  const current = sum(thisKey);
+  const previous = sum(prevKey);
+  const pct = (a, b) => (b ? Math.round(((a - b) / b) * 100) : null);
+  return {
+    thisKey,
+    prevKey,
+    current,
+    previous,
+    pointsChange: pct(current.points, previous.points),
+    countChange: pct(current.count, previous.count),
+  };
+}
+
+/* -------------------- Deals (pipeline / revenue) -------------------- */
+const withDeal = (history) => history.filter((h) => h.deal && Number.isFinite(Number(h.deal.value)));
+
+/** [{ key: title, emoji, count, value, average }] for entries carrying a deal value, by value. */
+export function dealsByQuest(history) {
+  const out = {};
+  for (const h of withDeal(history)) {
+    const g = (out[h.title] = out[h.title] || { key: h.title, emoji: h.emoji || "🎯", count: 0, value: 0 });
+    g.count += 1;
+    g.value += Number(h.deal.value);
+  }
+  return Object.values(out)
+    .map((g) => ({ ...g, average: Math.round(g.value / g.count) }))
+    .sort((a, b) => b.value - a.value);
+}
+
+/** [{ key: client, count, value }] — the `limit` biggest clients by deal value. */
+export function topClients(history, limit = 5) {
+  const out = {};
+  for (const h of withDeal(history)) {
+    const name = (h.deal.client || "").trim();
+    if (!name) continue;
+    const g = (out[name.toLowerCase()] = out[name.toLowerCase()] || { key: name, count: 0, value: 0 });
+    g.count += 1;
+    g.value += Number(h.deal.value);
+  }
+  return Object.values(out).sort((a, b) => b.value - a.value).slice(0, limit);
+}
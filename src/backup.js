@@ -0,0 +1,151 @@
+// src/backup.js
+// JSON backup / restore of everything under STORAGE_PREFIX except this device's
+// secrets (the backend token and the manager PIN hash), which never leave it.
+// A restore brings back profiles (merge / replace / skip each) and, optionally, the
+// device-wide data in SHARED_KEYS. Bundles are versioned; person states go through
+// migrateState on import so backups taken by older versions of the app still load.
+
+import { recomputeProgress, safeJSONParse } from "./game.js";
+import { loadCatalog, saveCatalog, parseCatalog, isNewerCatalog } from "./catalog.js";
+import {
+  STORAGE_PREFIX, STORAGE_VERSION, getStorage, migrateState, personKey,
+  loadProfiles, saveProfiles, hasPersonState, loadPersonState, savePersonState,
+} from "./storage.js";
+
+export const BACKUP_FORMAT = "sm-productivity-game-backup";
+export const BACKUP_VERSION = 1;
+
+const PERSON_PREFIX = STORAGE_PREFIX + "person:";
+const SECRET_KEYS = new Set([STORAGE_PREFIX + "config", STORAGE_PREFIX + "manager"]);
+const SEASON_ARCHIVE_KEY = STORAGE_PREFIX + "seasons";
+
+/** Device-wide data a restore can bring back, by storage key. */
+export const SHARED_KEYS = {
+  [STORAGE_PREFIX + "teams"]: "Teams",
+  [STORAGE_PREFIX + "catalog"]: "Quest catalog (only if newer)",
+  [STORAGE_PREFIX + "season"]: "Season settings",
+  [SEASON_ARCHIVE_KEY]: "Season archive (merged)",
+  [STORAGE_PREFIX + "badges"]: "Custom badges",
+  [STORAGE_PREFIX + "challenges"]: "Challenges",
+};
+
+/** Snapshot every app key but the secrets. JSON values are stored parsed so the file stays readable. */
+export function createBackup() {
+  const storage = getStorage();
+  const data = {};
+  for (const key of storage.keys()) {
+    if (!key.startsWith(STORAGE_PREFIX) || SECRET_KEYS.has(key)) continue;
+    const raw = storage.getItem(key);
+    try { data[key] = JSON.parse(raw); } catch { data[key] = raw; }
+  }
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    storageVersion: STORAGE_VERSION,
+    exportedAt: new Date().toISOString(),
+    data,
+  };
+}
+
+/**
+ * Parse and validate a backup file and build a per-profile preview:
+ * [{ name, incoming, exists, localCount, incomingCount, newCount }], plus `shared`:
+ * the SHARED_KEYS the file holds, as [{ key, label }].
+ * Throws an Error with a readable message if the file is not a backup.
+ */
+export function parseBackup(text) {
+  let bundle;
+  try { bundle = JSON.parse(text); }
+  catch { throw new Error("Not a JSON file."); }
+  if (!bundle || bundle.format !== BACKUP_FORMAT || typeof bundle.data !== "object") {
+    throw new Error("This file is not a Sales Game backup.");
+  }
+  if (bundle.version > BACKUP_VERSION) {
+    throw new Error(`Backup version ${bundle.version} is newer than this app supports (${BACKUP_VERSION}).`);
+  }
+
+  // Only names the bundle has a person state for: one that is merely listed in "profiles"
+  // would otherwise restore as an empty state and, on "replace", wipe local history
+  const names = Object.keys(bundle.data)
+    .filter((key) => key.startsWith(PERSON_PREFIX) && bundle.data[key] && typeof bundle.data[key] === "object")
+    .map((key) => key.slice(PERSON_PREFIX.length));
+
+  const profiles = names.sort((a, b) => a.localeCompare(b)).map((name) => {
+    const incoming = migrateState(bundle.data[personKey(name)], name);
+    const exists = hasPersonState(name);
+    const localIds = new Set(exists ? loadPersonState(name).history.map((h) => h.id) : []);
+    return {
+      name,
+      incoming,
+      exists,
+      localCount: localIds.size,
+      incomingCount: incoming.history.length,
+      newCount: incoming.history.filter((h) => !localIds.has(h.id)).length,
+    };
+  });
+
+  const shared = Object.keys(SHARED_KEYS)
+    .filter((key) => bundle.data[key] != null)
+    .map((key) => ({ key, label: SHARED_KEYS[key], value: bundle.data[key] }));
+
+  return { exportedAt: bundle.exportedAt || null, version: bundle.version, profiles, shared };
+}
+
+/** Local wins for settings/quests; history is the union deduped by entry id. */
+function mergeStates(local, incoming) {
+  const ids = new Set(local.history.map((h) => h.id));
+  const questIds = new Set(local.quests.map((q) => q.id));
+  const history = [...local.history, ...incoming.history.filter((h) => !ids.has(h.id))]
+    .sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+  const quests = [...local.quests, ...incoming.quests.filter((q) => !questIds.has(q.id))];
+  const focusIds = new Set((local.focusLog || []).map((f) => f.id));
+  const focusLog = [...(local.focusLog || []), ...(incoming.focusLog || []).filter((f) => !focusIds.has(f.id))]
+    .sort((a, b) => a.finishedAt - b.finishedAt);
+  return recomputeProgress({ ...local, history, quests, focusLog });
+}
+
+/** Restore one device-wide key. The catalog never rolls back; archived seasons are merged by start date. */
+function restoreShared({ key, value }) {
+  if (key === STORAGE_PREFIX + "catalog") {
+    let incoming;
+    try { incoming = parseCatalog(value); } catch { return; } // damaged catalog: keep this device's
+    if (isNewerCatalog(incoming, loadCatalog())) saveCatalog(incoming);
+    return;
+  }
+  if (key === SEASON_ARCHIVE_KEY && Array.isArray(value)) {
+    const stored = safeJSONParse(getStorage().getItem(key), []);
+    const local = Array.isArray(stored) ? stored : [];
+    const starts = new Set(local.map((s) => s.start));
+    const merged = [...local, ...value.filter((s) => s && !starts.has(s.start))].sort((a, b) => (a.start < b.start ? -1 : 1));
+    getStorage().setItem(key, JSON.stringify(merged));
+    return;
+  }
+  getStorage().setItem(key, typeof value === "string" ? value : JSON.stringify(value));
+}
+
+/**
+ * Write a parsed backup. `choices` maps profile name → "merge" | "replace" | "skip";
+ * `sharedKeys` lists the device-wide keys (from parsed.shared) to restore as well.
+ * Returns the names that were written.
+ */
+export function applyBackup(parsed, choices, sharedKeys = []) {
+  for (const item of parsed.shared || []) {
+    if (sharedKeys.includes(item.key)) restoreShared(item);
+  }
+  const written = [];
+  for (const p of parsed.profiles) {
+    const choice = choices[p.name] || "skip";
+    if (choice === "skip") continue;
+    const next = choice === "merge" && p.exists
+      ? mergeStates(loadPersonState(p.name), p.incoming)
+      : recomputeProgress(p.incoming);
+    savePersonState(p.name, next);
+    written.push(p.name);
+  }
+  if (written.length) {
+    const profiles = new Set(loadProfiles());
+    written.forEach((n) => profiles.add(n));
+    saveProfiles([...profiles].sort((a, b) => a.localeCompare(b)));
+  }
+  return written;
+}
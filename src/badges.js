@@ -0,0 +1,97 @@
+// src/badges.js
+// Badges are data: { id, label, emoji, criteria: { type, target, questId?, category? } }.
+// Built-in badges ship below; team badges are stored on the device and shared by
+// every profile. Unlock dates live on the person state (state.badgesEarned).
+
+import { getStorage, STORAGE_PREFIX } from "./storage.js";
+import { safeJSONParse } from "./game.js";
+import { goalsHit } from "./goals.js";
+
+const CUSTOM_BADGES_KEY = STORAGE_PREFIX + "badges"; // Badge[]
+
+export const CRITERIA_TYPES = {
+  count: "Completions",
+  dayPoints: "Points in one day",
+  streak: "Streak (days)",
+  level: "Level",
+  goals: "Goals hit",
+};
+
+export const DEFAULT_BADGES = [
+  { id: "starter", label: "Getting Started", emoji: "🚀", criteria: { type: "count", target: 1 } },
+  { id: "caller10", label: "Call Cadet (10 calls)", emoji: "📞", criteria: { type: "count", questId: "q-prospecting-call", target: 10 } },
+  { id: "closer1", label: "Closer (1 deal)", emoji: "🤝", criteria: { type: "count", questId: "q-close-deal", target: 1 } },
+  { id: "creator5", label: "Content Creator (5 posts)", emoji: "✍️", criteria: { type: "count", questId: "q-linkedin-post", target: 5 } },
+  { id: "level5", label: "Level 5+", emoji: "🏅", criteria: { type: "level", target: 5 } },
+  { id: "goal100", label: "Hit 100+ day", emoji: "💯", criteria: { type: "dayPoints", target: 100 } },
+  { id: "streak5", label: "On Fire (5-day streak)", emoji: "🔥", criteria: { type: "streak", target: 5 } },
+  { id: "goals10", label: "Goal Getter (10 goals hit)", emoji: "🎯", criteria: { type: "goals", target: 10 } },
+];
+
+export function loadCustomBadges() {
+  const arr = safeJSONParse(getStorage().getItem(CUSTOM_BADGES_KEY), []);
+  return Array.isArray(arr) ? arr : [];
+}
+export function saveCustomBadges(arr) {
+  getStorage().setItem(CUSTOM_BADGES_KEY, JSON.stringify(arr));
+}
+export function allBadges() {
+  return [...DEFAULT_BADGES, ...loadCustomBadges().map((b) => ({ ...b, custom: true }))];
+}
+
+const matches = (c, h) => (!c.questId || h.questId === c.questId) && (!c.category || h.category === c.category);
+
+/**
+ * Progress toward one badge: { value, target, pct, earned, achievedAt }.
+ * achievedAt is when history first crossed the target (null for level/streak/goals,
+ * which are not reconstructed here).
+ */
+export function badgeProgress(badge, state) {
+  const c = badge.criteria || {};
+  const target = Math.max(1, Number(c.target) || 1);
+  const history = [...(state.history || [])].sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+  let value = 0;
+  let achievedAt = null;
+
+  if (c.type === "count") {
+    const hits = history.filter((h) => matches(c, h));
+    value = hits.length;
+    if (value >= target) achievedAt = hits[target - 1].timestamp;
+  } else if (c.type === "dayPoints") {
+    const byDate = {};
+    for (const h of history) {
+      if (!matches(c, h)) continue;
+      byDate[h.date] = (byDate[h.date] || 0) + (h.points || 0);
+      if (!achievedAt && byDate[h.date] >= target) achievedAt = h.timestamp;
+      value = Math.max(value, byDate[h.date]);
+    }
+  } else if (c.type === "streak") {
+    value = Math.max(state.streak || 0, state.longestStreak || 0);
+  } else if (c.type === "level") {
+    value = state.level || 1;
+  } else if (c.type === "goals") {
+    value = goalsHit(state.goals, history);
+  }
+
+  return { value, target, pct: Math.min(100, Math.round((value / target) * 100)), earned: value >= target, achievedAt };
+}
+
+/**
+ * Badges earned now but not yet recorded. Returns { badgesEarned, unlocked } where
+ * `unlocked` lists the badges to celebrate. On the first run for a profile
+ * (badgesEarned === null) everything is recorded silently.
+ */
+export function evaluateBadges(state, badges = allBadges()) {
+  const silent = state.badgesEarned == null;
+  const badgesEarned = { ...(state.badgesEarned || {}) };
+  const unlocked = [];
+  for (const b of badges) {
+    if (badgesEarned[b.id]) continue;
+    const p = badgeProgress(b, state);
+    if (!p.earned) continue;
+    badgesEarned[b.id] = silent ? (p.achievedAt || Date.now()) : Date.now();
+    if (!silent) unlocked.push(b);
+  }
+  const changed = silent || unlocked.length > 0 || Object.keys(badgesEarned).length !== Object.keys(state.badgesEarned || {}).length;
+  return { badgesEarned, unlocked, changed };
+}
@@ -0,0 +1,68 @@
+// src/catalog.js
+// Team quest catalog: one versioned list of shared quests per device. A manager
+// publishes it through the sheet backend or as a JSON file; every profile sees the
+// shared quests plus its own rep-specific quests (state.quests). Each change bumps
+// the version, and history entries remember the version they were scored under.
+//
+//   { version, quests: [quest], publishedAt }
+
+import { getStorage, STORAGE_PREFIX } from "./storage.js";
+import { safeJSONParse, defaultQuests } from "./game.js";
+import { SCHEDULE_KINDS } from "./schedule.js";
+
+const CATALOG_KEY = STORAGE_PREFIX + "catalog";
+export const CATALOG_FORMAT = "sm-productivity-game-catalog";
+
+const initialCatalog = () => ({ version: 1, quests: defaultQuests, publishedAt: null });
+
+export function loadCatalog() {
+  const c = safeJSONParse(getStorage().getItem(CATALOG_KEY), null);
+  return c && Array.isArray(c.quests) && Number(c.version) > 0 ? c : initialCatalog();
+}
+export function saveCatalog(c) {
+  getStorage().setItem(CATALOG_KEY, JSON.stringify(c));
+}
+
+/** Shared quests (flagged `shared`) followed by the profile's own. */
+export const questsFor = (catalog, personalQuests = []) => [
+  ...catalog.quests.map((q) => ({ emoji: "🎯", ...q, shared: true })),
+  ...personalQuests,
+];
+
+/** A new version of the catalog with `quests` as its content. */
+export function nextCatalog(catalog, quests) {
+  return {
+    version: catalog.version + 1,
+    quests: quests.map(({ shared, ...q }) => q),
+    publishedAt: Date.now(),
+  };
+}
+
+/** Whether `incoming` should replace `current` (higher version; same version, later publish). */
+export function isNewerCatalog(incoming, current) {
+  if (incoming.version !== current.version) return incoming.version > current.version;
+  return (incoming.publishedAt || 0) > (current.publishedAt || 0);
+}
+
+/** Catalog as a downloadable JSON file. */
+export const catalogFile = (c) => JSON.stringify({ format: CATALOG_FORMAT, ...c }, null, 2);
+
+/** Validate a catalog from a file or the sheet. Throws with a readable message. */
+export function parseCatalog(input) {
+  const c = typeof input === "string" ? safeJSONParse(input, null) : input;
+  if (!c || (c.format && c.format !== CATALOG_FORMAT)) throw new Error("This is not a quest catalog.");
+  const version = Number(c.version);
+  if (!Number.isInteger(version) || version < 1) throw new Error("Catalog has no valid version number.");
+  if (!Array.isArray(c.quests)) throw new Error("Catalog has no quest list.");
+  const quests = c.quests.filter((q) => q && q.id && q.title).map((q) => ({
+    id: String(q.id),
+    title: String(q.title),
+    points: Number(q.points) || 0,
+    category: q.category || "General",
+    emoji: q.emoji || "🎯",
+    ...(Number(q.dailyCap) > 0 ? { dailyCap: Number(q.dailyCap) } : {}),
+    ...(q.askDeal ? { askDeal: true } : {}),
+    ...(q.schedule && SCHEDULE_KINDS[q.schedule.every] ? { schedule: q.schedule } : {}),
+  }));
+  return { version, quests, publishedAt: Number(c.publishedAt) || null };
+}
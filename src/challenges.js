@@ -0,0 +1,119 @@
+// src/challenges.js
+// Time-boxed challenges defined on top of profiles and history. Stored once per
+// device (like team badges) and mirrored to the sheet when a backend is configured,
+// so every device sees the same challenges and the same recorded winner.
+//
+//   { id, title,
+//     metric: { type: "quest"|"category"|"points", questId?, category? },
+//     start, end,                          // ISO dates, both inclusive
+//     sides: [{ name, members: [person] }], // one member per side = everyone for themselves
+//     winner: null | { names: [side], value, decidedAt },
+//     deleted?: true,                      // tombstone so removals sync too
+//     updatedAt }
+
+import { getStorage, STORAGE_PREFIX } from "./storage.js";
+import { safeJSONParse, todayISO, addDaysISO, uid } from "./game.js";
+
+const CHALLENGES_KEY = STORAGE_PREFIX + "challenges"; // Challenge[]
+
+export const METRIC_TYPES = {
+  quest: "Completions of a quest",
+  category: "Completions in a category",
+  points: "Total points",
+};
+
+export function loadChallenges() {
+  const arr = safeJSONParse(getStorage().getItem(CHALLENGES_KEY), []);
+  return Array.isArray(arr) ? arr : [];
+}
+export function saveChallenges(arr) {
+  getStorage().setItem(CHALLENGES_KEY, JSON.stringify(arr));
+}
+
+export function makeChallenge(today = todayISO()) {
+  return {
+    id: "ch-" + uid(),
+    title: "",
+    metric: { type: "points" },
+    start: today,
+    end: addDaysISO(today, 6),
+    sides: [],
+    winner: null,
+    updatedAt: Date.now(),
+  };
+}
+
+/** One side per person (head-to-head or free-for-all). */
+export const soloSides = (names) => names.map((name) => ({ name, members: [name] }));
+
+export const isTeamChallenge = (c) => c.sides.some((s) => s.members.length !== 1 || s.members[0] !== s.name);
+
+/** "upcoming" | "live" | "ended" */
+export function challengeStatus(c, today = todayISO()) {
+  if (today < c.start) return "upcoming";
+  if (today > c.end) return "ended";
+  return "live";
+}
+
+/** A person's score for the challenge from their own history. */
+export function metricValue(c, history = []) {
+  const m = c.metric || {};
+  const rows = history.filter((h) => h.date >= c.start && h.date <= c.end
+    && (m.type !== "quest" || h.questId === m.questId)
+    && (m.type !== "category" || h.category === m.category));
+  return m.type === "points" ? rows.reduce((s, h) => s + (h.points || 0), 0) : rows.length;
+}
+
+/**
+ * Standings: [{ name, members, value }] best first. `historyOf(person)` returns local
+ * history (null for people not on this device); `remote` is { [person]: value } from
+ * the sheet. Each member counts the larger of the two: the sheet knows other devices,
+ * this device knows entries still waiting in the outbox.
+ */
+export function challengeStandings(c, historyOf, remote = {}) {
+  return c.sides
+    .map((side) => ({
+      name: side.name,
+      members: side.members,
+      value: side.members.reduce((sum, p) => {
+        const history = historyOf(p);
+        return sum + Math.max(history ? metricValue(c, history) : 0, Number(remote[p]) || 0);
+      }, 0),
+    }))
+    .sort((a, b) => b.value - a.value);
+}
+
+/**
+ * Record winners of challenges that have ended. Ties share the win.
+ * With { requireRemote: true } a challenge waits until the sheet's values for it
+ * are in, so people on other devices are counted before a winner is fixed.
+ * Returns { challenges, settled } where `settled` lists the newly decided ones.
+ */
+export function settleChallenges(challenges, historyOf, remoteById = {}, { today = todayISO(), requireRemote = false } = {}) {
+  const settled = [];
+  const next = challenges.map((c) => {
+    if (c.deleted || c.winner || !c.sides.length || challengeStatus(c, today) !== "ended") return c;
+    if (requireRemote && !remoteById[c.id]) return c;
+    const standings = challengeStandings(c, historyOf, remoteById[c.id]);
+    const top = standings[0].value;
+    const decided = {
+      ...c,
+      winner: { names: standings.filter((s) => s.value === top).map((s) => s.name), value: top, decidedAt: Date.now() },
+      updatedAt: Date.now(),
+    };
+    settled.push(decided);
+    return decided;
+  });
+  return { challenges: next, settled };
+}
+
+/** Merge the sheet's copy into ours: per id, the newer updatedAt wins. */
+export function mergeChallenges(local, remote) {
+  const byId = new Map(local.map((c) => [c.id, c]));
+  for (const c of remote) {
+    if (!c || !c.id) continue;
+    const mine = byId.get(c.id);
+    if (!mine || (Number(c.updatedAt) || 0) > (Number(mine.updatedAt) || 0)) byId.set(c.id, c);
+  }
+  return [...byId.values()].sort((a, b) => (a.start < b.start ? 1 : a.start > b.start ? -1 : 0));
+}
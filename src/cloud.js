@@ -1,44 +1,359 @@
 // src/cloud.js
 // Small helper used by the React app to talk to your Apps Script backend.
+// Endpoint and token come from ./config.js (Vite env or the in-app Settings panel).
 
-export const ENDPOINT = "https://script.google.com/macros/s/AKfycbw3Yb6gw8HSTVNUNQkET9dHD-8rVZq6auOkKkGnT6eQ6a70SMuAi3Jat3EkCoJ0giA-/exec";
-// ^^^ Your NEW Apps Script URL
+import { getBackendConfig, isBackendConfigured } from "./config.js";
+import { getStorage, STORAGE_PREFIX } from "./storage.js";
 
-export const SHARED_SECRET = "my_super_secret_sales_game_2024!";
-// ^^^ MUST match SHARED_SECRET in Code.gs
+/** Thrown when no endpoint is configured; the outbox keeps items queued instead of counting a failure. */
+export class BackendNotConfiguredError extends Error {
+  constructor() {
+    super("Backend not configured");
+    this.name = "BackendNotConfiguredError";
+  }
+}
+
+/** Build a backend URL with the token appended. Throws if nothing is configured. */
+function backendUrl(params = {}, config = getBackendConfig()) {
+  if (!isBackendConfigured(config)) throw new BackendNotConfiguredError();
+  const qs = new URLSearchParams({ ...params, secret: config.token });
+  return `${config.endpoint}${config.endpoint.includes("?") ? "&" : "?"}${qs}`;
+}
+
+/** POST to the Apps Script. `action` is omitted for plain inserts. Throws on failure so callers can retry. */
+async function postToSheet(action, body) {
+  const res = await fetch(backendUrl(action ? { action } : {}), {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body)
+  });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+}
+
+function activityBody({ id, name, date, questId, title, category, points, timestamp, dealValue, client, notes, tags }) {
+  return {
+    id: id || "",
+    name,
+    date,
+    questId: questId || "",
+    title,
+    category: category || "",
+    points: Number(points || 0),
+    timestamp: timestamp || Date.now(),
+    dealValue: dealValue === "" || dealValue == null ? "" : Number(dealValue),
+    client: client || "",
+    notes: notes || "",
+    tags: tags || ""
+  };
+}
 
-/** Save a single activity to the Google Sheet (fire-and-forget). */
-export async function saveActivityToSheet({ name, date, title, category, points, timestamp }) {
+const postActivity = (activity) => postToSheet(null, activityBody(activity));
+const postActivityUpdate = (activity) => postToSheet("update", activityBody(activity));
+// id is the primary match; name + timestamp let the script find rows written before ids were sent.
+const postActivityDelete = ({ id, name, timestamp }) => postToSheet("delete", { id: id || "", name, timestamp });
+
+/** Save a single activity to the Google Sheet. Resolves true on success, false on failure. */
+export async function saveActivityToSheet(activity) {
   try {
-    await fetch(`${ENDPOINT}?secret=${encodeURIComponent(SHARED_SECRET)}`, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({
-        name,
-        date,
-        title,
-        category: category || "",
-        points: Number(points || 0),
-        timestamp: timestamp || Date.now()
-      })
-    });
+    await postActivity(activity);
+    return true;
   } catch (err) {
     // Non-blocking: we still keep everything locally.
     console.warn("saveActivityToSheet failed:", err);
+    return false;
   }
 }
 
+/** Replace a previously saved activity (matched by id). Resolves true on success, false on failure. */
+export async function updateActivityInSheet(activity) {
+  try {
+    await postActivityUpdate(activity);
+    return true;
+  } catch (err) {
+    console.warn("updateActivityInSheet failed:", err);
+    return false;
+  }
+}
+
+/** Remove a previously saved activity (matched by id). Resolves true on success, false on failure. */
+export async function deleteActivityFromSheet(activity) {
+  try {
+    await postActivityDelete(activity);
+    return true;
+  } catch (err) {
+    console.warn("deleteActivityFromSheet failed:", err);
+    return false;
+  }
+}
+
+/** Get leaderboard (last N days). Throws on network/backend errors. Pass `config` to try unsaved settings. */
+export async function requestLeaderboard(days = 7, config = getBackendConfig()) {
+  const res = await fetch(backendUrl({ action: "leaderboard", days: String(days) }, config), {
+    method: "GET",
+    headers: { "Content-Type": "application/json" }
+  });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  const json = await res.json();
+  if (!json || !json.ok) throw new Error(json?.error || "Backend returned an error");
+  if (!Array.isArray(json.leaderboard)) throw new Error("Malformed leaderboard response");
+  return json.leaderboard.map((r) => ({
+    name: String(r.name ?? r.person ?? ""),
+    points: Number(r.points ?? r.total ?? 0) || 0,
+  }));
+}
+
 /** Get leaderboard (last N days). Returns [] on failure. */
 export async function fetchLeaderboardFromSheet(days = 7) {
   try {
-    const res = await fetch(`${ENDPOINT}?action=leaderboard&days=${encodeURIComponent(days)}&secret=${encodeURIComponent(SHARED_SECRET)}`, {
-      method: "GET",
-      headers: { "Content-Type": "application/json" }
-    });
-    const json = await res.json();
-    return json && json.ok && Array.isArray(json.leaderboard) ? json.leaderboard : [];
+    return await requestLeaderboard(days);
   } catch (err) {
     console.warn("fetchLeaderboardFromSheet failed:", err);
     return [];
   }
 }
+
+/** All challenges stored on the sheet (including deletion tombstones). Throws on failure. */
+export async function requestChallenges(config = getBackendConfig()) {
+  const res = await fetch(backendUrl({ action: "challenges" }, config), { method: "GET" });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  const json = await res.json();
+  if (!json || !json.ok) throw new Error(json?.error || "Backend returned an error");
+  return Array.isArray(json.challenges) ? json.challenges : [];
+}
+
+/** Per-person values for one challenge, computed by the sheet over every device's rows: { [name]: value }. */
+export async function requestChallengeStandings(challenge, config = getBackendConfig()) {
+  const { id, start, end, metric } = challenge;
+  const params = { action: "challenge-standings", id, start, end, metric: metric.type, questId: metric.questId || "", category: metric.category || "" };
+  const res = await fetch(backendUrl(params, config), { method: "GET" });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  const json = await res.json();
+  if (!json || !json.ok) throw new Error(json?.error || "Backend returned an error");
+  const out = {};
+  for (const r of json.standings || []) out[String(r.name ?? "")] = Number(r.value ?? r.points ?? 0) || 0;
+  return out;
+}
+
+/** The team quest catalog published on the sheet, or null if none has been published yet. */
+export async function requestCatalog(config = getBackendConfig()) {
+  const res = await fetch(backendUrl({ action: "catalog" }, config), { method: "GET" });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  const json = await res.json();
+  if (!json || !json.ok) throw new Error(json?.error || "Backend returned an error");
+  return json.catalog || null;
+}
+
+/** Call the leaderboard action with the given settings and describe the outcome. */
+export async function testConnection(config) {
+  const started = Date.now();
+  try {
+    const rows = await requestLeaderboard(7, config);
+    return { ok: true, message: `Connected in ${Date.now() - started} ms — ${rows.length} people on the 7-day board.` };
+  } catch (err) {
+    return { ok: false, message: String(err?.message || err) };
+  }
+}
+
+/* -------------------- Outbox (offline queue) -------------------- */
+// Every activity goes through a persistent queue in the storage layer. Items leave
+// the queue once the sheet accepts them; failures are retried with backoff
+// and again whenever the browser comes back online. There is at most one item
+// per history entry: later edits/deletes are folded into whatever is queued.
+// Challenges ride the same queue under "challenge:<id>" keys, the quest catalog under "catalog".
+
+const OUTBOX_KEY = STORAGE_PREFIX + "outbox"; // { [entryId]: OutboxItem }
+const CHALLENGE_KEY_PREFIX = "challenge:";
+const CATALOG_OUTBOX_KEY = "catalog";
+const ACTIVITY_OPS = new Set(["add", "update", "delete"]);
+const SENDERS = {
+  add: postActivity,
+  update: postActivityUpdate,
+  delete: postActivityDelete,
+  challenge: (challenge) => postToSheet("challenge", challenge),
+  catalog: (catalog) => postToSheet("catalog", catalog),
+};
+const BACKOFF_BASE_MS = 5000;
+const BACKOFF_MAX_MS = 10 * 60 * 1000;
+const MAX_AUTO_ATTEMPTS = 8; // after this the item is "failed" until Sync now
+
+const outboxListeners = new Set();
+let flushing = null;   // in-flight flush promise
+let flushingForced = false; // whether that flush ignores backoff
+let forcedNext = null; // forced flush chained after a non-forced one
+let inFlightId = null; // entry currently being sent
+let retryTimer = null;
+
+function readOutbox() {
+  try {
+    const parsed = JSON.parse(getStorage().getItem(OUTBOX_KEY));
+    return parsed && typeof parsed === "object" ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+function writeOutbox(box) {
+  getStorage().setItem(OUTBOX_KEY, JSON.stringify(box));
+  for (const fn of outboxListeners) fn(box);
+}
+
+const backoffMs = (attempts) => Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** Math.max(0, attempts - 1));
+
+function scheduleRetry(box) {
+  clearTimeout(retryTimer);
+  retryTimer = null;
+  const due = Object.values(box)
+    .filter((it) => it.status === "pending")
+    .map((it) => it.nextAttemptAt || 0);
+  if (!due.length) return;
+  const wait = Math.max(0, Math.min(...due) - Date.now());
+  retryTimer = setTimeout(() => { flushOutbox(); }, wait);
+}
+
+/** Current outbox snapshot: { [entryId]: { op, rev, status, attempts, nextAttemptAt, lastError, payload } } */
+export function getOutbox() {
+  return readOutbox();
+}
+
+/** Outbox items that belong to history entries (leaves out queued challenges and catalogs). */
+export function activityItems(box) {
+  return Object.fromEntries(Object.entries(box).filter(([, item]) => ACTIVITY_OPS.has(item.op || "add")));
+}
+
+/** Sync status for one history entry: "pending" | "failed" | "synced". */
+export function syncStatusOf(box, entryId) {
+  return box[entryId]?.status || "synced";
+}
+
+/** Listen for outbox changes. Returns an unsubscribe function. */
+export function subscribeOutbox(fn) {
+  outboxListeners.add(fn);
+  return () => outboxListeners.delete(fn);
+}
+
+function putItem(box, entryId, op, payload) {
+  box[entryId] = {
+    op,
+    payload,
+    rev: (box[entryId]?.rev || 0) + 1,
+    status: "pending",
+    attempts: 0,
+    nextAttemptAt: 0,
+    lastError: null,
+  };
+}
+
+/** Queue an activity for the sheet (keyed by history entry id) and try to send it right away. */
+export function queueActivity(entryId, activity) {
+  const box = readOutbox();
+  putItem(box, entryId, "add", { ...activity, id: entryId });
+  writeOutbox(box);
+  return flushOutbox();
+}
+
+/** Queue a correction. An insert that has not reached the sheet yet simply carries the new values. */
+export function queueActivityUpdate(entryId, activity) {
+  const box = readOutbox();
+  const queuedAdd = box[entryId]?.op === "add" && inFlightId !== entryId;
+  putItem(box, entryId, queuedAdd ? "add" : "update", { ...activity, id: entryId });
+  writeOutbox(box);
+  return flushOutbox();
+}
+
+/** Queue a removal. An insert that never reached the sheet is just dropped from the queue. */
+export function queueActivityDelete(entryId, activity) {
+  const box = readOutbox();
+  if (box[entryId]?.op === "add" && inFlightId !== entryId) {
+    delete box[entryId];
+  } else {
+    putItem(box, entryId, "delete", { ...activity, id: entryId });
+  }
+  writeOutbox(box);
+  return flushOutbox();
+}
+
+/** Queue a challenge (new, edited, settled or tombstoned) for the sheet; the latest copy wins. */
+export function queueChallenge(challenge) {
+  const box = readOutbox();
+  putItem(box, CHALLENGE_KEY_PREFIX + challenge.id, "challenge", challenge);
+  writeOutbox(box);
+  return flushOutbox();
+}
+
+/** Queue a catalog version for publishing; only the newest queued version is sent. */
+export function queueCatalog(catalog) {
+  const box = readOutbox();
+  putItem(box, CATALOG_OUTBOX_KEY, "catalog", catalog);
+  writeOutbox(box);
+  return flushOutbox();
+}
+
+/**
+ * Send every due item. With { force: true } backoff is ignored and failed items
+ * are retried too (used by "Sync now" and the online event).
+ */
+export function flushOutbox({ force = false } = {}) {
+  if (flushing) {
+    if (!force || flushingForced) return flushing;
+    // The running pass skips items in backoff, so a forced request gets its own pass right after it
+    if (!forcedNext) forcedNext = flushing.then(() => { forcedNext = null; return flushOutbox({ force: true }); });
+    return forcedNext;
+  }
+  flushingForced = force;
+  flushing = (async () => {
+    const now = Date.now();
+    const snapshot = readOutbox();
+    const ids = Object.keys(snapshot).filter((id) => {
+      const it = snapshot[id];
+      if (force) return true;
+      return it.status === "pending" && (it.nextAttemptAt || 0) <= now;
+    });
+    // Offline or unconfigured: wait for the online event / saved settings to flush again.
+    if ((!force && navigator.onLine === false) || !isBackendConfigured()) return;
+    for (const id of ids) {
+      const item = readOutbox()[id];
+      if (!item) continue;
+      let error = null;
+      inFlightId = id;
+      try { await (SENDERS[item.op || "add"])(item.payload); }
+      catch (err) { error = err; }
+      finally { inFlightId = null; }
+      if (error instanceof BackendNotConfiguredError) break;
+
+      // Re-read so edits made while awaiting are not lost.
+      const box = readOutbox();
+      const current = box[id];
+      if (!current) continue;
+      if (current.rev !== item.rev) {
+        // Changed while in flight: if our insert landed, the newer values now go out as an update.
+        if (!error && item.op === "add" && current.op === "add") box[id] = { ...current, op: "update" };
+      } else if (!error) {
+        delete box[id];
+      } else {
+        const attempts = (current.attempts || 0) + 1;
+        box[id] = {
+          ...current,
+          attempts,
+          lastError: String(error?.message || error),
+          status: attempts >= MAX_AUTO_ATTEMPTS ? "failed" : "pending",
+          nextAttemptAt: Date.now() + backoffMs(attempts),
+        };
+        console.warn("Outbox send failed:", error);
+      }
+      writeOutbox(box);
+    }
+    scheduleRetry(readOutbox());
+  })().finally(() => { flushing = null; });
+  return flushing;
+}
+
+/** Wire up online/offline handling and send anything left over from last session. */
+export function startOutbox() {
+  const onOnline = () => { flushOutbox({ force: true }); };
+  window.addEventListener("online", onOnline);
+  flushOutbox();
+  return () => {
+    window.removeEventListener("online", onOnline);
+    clearTimeout(retryTimer);
+    retryTimer = null;
+  };
+}
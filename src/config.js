@@ -0,0 +1,47 @@
+// src/config.js
+// Runtime configuration for the Apps Script backend.
+// Build-time defaults come from Vite env vars (.env.local):
+//   VITE_SHEET_ENDPOINT = Apps Script Web App URL (ends with /exec)
+//   VITE_SHEET_TOKEN    = shared secret / per-user token (must match Code.gs)
+// The in-app Settings panel can override both per device (stored in localStorage).
+
+const CONFIG_KEY = "sm-productivity-game:v2:config"; // { endpoint, token }
+
+const envDefaults = () => ({
+  endpoint: (import.meta.env.VITE_SHEET_ENDPOINT || "").trim(),
+  token: (import.meta.env.VITE_SHEET_TOKEN || "").trim(),
+});
+
+function readDeviceConfig() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(CONFIG_KEY));
+    return parsed && typeof parsed === "object" ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+/** Effective backend config: device values win over env defaults. `source` says where the endpoint came from. */
+export function getBackendConfig() {
+  const env = envDefaults();
+  const device = readDeviceConfig();
+  const endpoint = (device.endpoint || env.endpoint || "").trim();
+  const token = (device.token || env.token || "").trim();
+  const source = device.endpoint ? "device" : env.endpoint ? "env" : "none";
+  return { endpoint, token, source };
+}
+
+/** True once there is an endpoint to talk to. */
+export function isBackendConfigured(config = getBackendConfig()) {
+  return !!config.endpoint;
+}
+
+/** Store device-level overrides. Empty fields fall back to the env defaults. */
+export function saveBackendConfig({ endpoint = "", token = "" }) {
+  localStorage.setItem(CONFIG_KEY, JSON.stringify({ endpoint: endpoint.trim(), token: token.trim() }));
+}
+
+/** Forget device overrides (back to env defaults). */
+export function clearBackendConfig() {
+  localStorage.removeItem(CONFIG_KEY);
+}
@@ -0,0 +1,175 @@
+// src/crm.js
+// CRM integration: turn CRM activity events (call logged, meeting booked, deal won)
+// into quest completions so reps don't log the same work twice. Events arrive as
+// webhook payloads, either from a JSON file or from the local receiver in
+// scripts/crm-receiver.mjs, and are normalized to
+//
+//   { externalId, type: "call_logged"|"meeting_booked"|"deal_won", owner, occurredAt, subject, value?, client? }
+//
+// HubSpot- and Pipedrive-style payloads are understood, plus a plain generic shape
+// ({ id, type, owner, occurredAt, subject }). `externalId` is stable per CRM object,
+// so retried or re-imported webhooks are recognized and never counted twice.
+//
+// Device-wide storage:
+//   config: { receiverUrl, cursor, mapping: { [type]: questId }, owners: { [crmOwner]: person } }
+//   inbox:  events waiting for their person to be active on this device
+
+import { getStorage, STORAGE_PREFIX } from "./storage.js";
+import { safeJSONParse } from "./game.js";
+
+const CRM_CONFIG_KEY = STORAGE_PREFIX + "crm";
+const CRM_INBOX_KEY = STORAGE_PREFIX + "crm-inbox";
+
+export const CRM_EVENT_TYPES = { call_logged: "Call logged", meeting_booked: "Meeting booked", deal_won: "Deal won" };
+
+export const DEFAULT_CRM_CONFIG = {
+  receiverUrl: "",
+  cursor: 0,
+  mapping: { call_logged: "q-prospecting-call", meeting_booked: "q-book-meeting", deal_won: "q-close-deal" },
+  owners: {},
+};
+
+/* -------------------- Config / inbox storage -------------------- */
+export function loadCrmConfig() {
+  const c = safeJSONParse(getStorage().getItem(CRM_CONFIG_KEY), null);
+  return c && typeof c === "object" ? { ...DEFAULT_CRM_CONFIG, ...c } : DEFAULT_CRM_CONFIG;
+}
+export function saveCrmConfig(c) {
+  getStorage().setItem(CRM_CONFIG_KEY, JSON.stringify(c));
+}
+export function loadCrmInbox() {
+  const arr = safeJSONParse(getStorage().getItem(CRM_INBOX_KEY), []);
+  return Array.isArray(arr) ? arr : [];
+}
+export function saveCrmInbox(arr) {
+  getStorage().setItem(CRM_INBOX_KEY, JSON.stringify(arr));
+}
+
+/* -------------------- Normalizing payloads -------------------- */
+/** Seconds or milliseconds since the epoch, or a date string → ms (now when missing). */
+function toMs(value) {
+  if (value == null || value === "") return Date.now();
+  const n = Number(value);
+  if (Number.isFinite(n)) return n < 1e12 ? n * 1000 : n;
+  const parsed = Date.parse(value);
+  return Number.isFinite(parsed) ? parsed : Date.now();
+}
+
+const HUBSPOT_TYPES = { "call.creation": "call_logged", "meeting.creation": "meeting_booked" };
+const PIPEDRIVE_ACTIVITY_TYPES = { call: "call_logged", meeting: "meeting_booked" };
+
+// HubSpot webhook: { subscriptionType, objectId, occurredAt, sourceId: "userId:123", propertyName?, propertyValue? }
+function fromHubSpot(p) {
+  const owner = String(p.sourceId || "").replace(/^userId:/, "") || String(p.ownerId || "");
+  let type = HUBSPOT_TYPES[p.subscriptionType];
+  if (p.subscriptionType === "deal.propertyChange" && p.propertyName === "dealstage" && p.propertyValue === "closedwon") type = "deal_won";
+  if (!type) return null;
+  return { externalId: `hubspot:${type}:${p.objectId}`, type, owner, occurredAt: toMs(p.occurredAt), subject: p.subject || "" };
+}
+
+// Pipedrive webhook (v1): { meta: { object, action, id, timestamp, user_id }, current, previous }
+function fromPipedrive(p) {
+  const { meta, current = {}, previous } = p;
+  let type = null;
+  if (meta.object === "activity" && meta.action === "added") type = PIPEDRIVE_ACTIVITY_TYPES[current.type];
+  if (meta.object === "deal" && current.status === "won" && previous?.status !== "won") type = "deal_won";
+  if (!type) return null;
+  const id = meta.id ?? current.id;
+  return {
+    externalId: `pipedrive:${type}:${id}`,
+    type,
+    owner: String(current.owner_name || current.user_id || meta.user_id || ""),
+    occurredAt: toMs(type === "deal_won" ? current.won_time || meta.timestamp : meta.timestamp),
+    subject: current.subject || current.title || "",
+    ...(type === "deal_won" && Number.isFinite(Number(current.value)) ? { value: Number(current.value) } : {}),
+    ...(current.org_name ? { client: String(current.org_name) } : {}),
+  };
+}
+
+// Generic: { id, type, owner?, occurredAt?, subject?, value?, client? }
+function fromGeneric(p) {
+  if (!CRM_EVENT_TYPES[p.type] || p.id == null) return null;
+  return {
+    externalId: `crm:${p.type}:${p.id}`,
+    type: p.type,
+    owner: String(p.owner || ""),
+    occurredAt: toMs(p.occurredAt),
+    subject: p.subject || "",
+    ...(Number.isFinite(Number(p.value)) && p.value !== "" && p.value != null ? { value: Number(p.value) } : {}),
+    ...(p.client ? { client: String(p.client) } : {}),
+  };
+}
+
+/**
+ * Normalize whatever a webhook or file contains: a single payload, an array of them,
+ * { events: [...] }, or the receiver's records ({ seq, source, payload }).
+ * Payloads that aren't one of the three activity events are dropped.
+ */
+export function normalizeCrmPayload(input) {
+  if (Array.isArray(input)) return input.flatMap(normalizeCrmPayload);
+  if (!input || typeof input !== "object") return [];
+  if (Array.isArray(input.events)) return normalizeCrmPayload(input.events);
+  if (input.payload && input.seq != null) return normalizeCrmPayload(input.payload);
+
+  const event = input.subscriptionType ? fromHubSpot(input) : input.meta?.object ? fromPipedrive(input) : fromGeneric(input);
+  return event ? [event] : [];
+}
+
+/** Events from an imported JSON file. Throws with a readable message. */
+export function parseCrmImport(text) {
+  const parsed = safeJSONParse(text, undefined);
+  if (parsed === undefined) throw new Error("This file is not valid JSON.");
+  const events = normalizeCrmPayload(parsed);
+  if (!events.length) throw new Error("No call, meeting or won-deal events found in this file.");
+  return events;
+}
+
+/* -------------------- Routing events to people and quests -------------------- */
+/**
+ * Who an event belongs to. Mapped owners go to their person; with no owner mapping
+ * at all (a single-rep device) everything goes to `fallback`. Otherwise null: the
+ * event waits until its owner is mapped.
+ */
+export function crmPerson(event, config, fallback) {
+  const mapped = config.owners[event.owner];
+  if (mapped) return mapped;
+  return Object.keys(config.owners).length ? null : fallback;
+}
+
+/** Inbox plus new events, ignoring ones it already holds. */
+export function addToInbox(inbox, events) {
+  const ids = new Set(inbox.map((e) => e.externalId));
+  const fresh = events.filter((e) => !ids.has(e.externalId) && ids.add(e.externalId));
+  return [...inbox, ...fresh];
+}
+
+/**
+ * Split the inbox for the active person: `ready` ([{ event, questId }]) should be
+ * logged now, `duplicates` are already in their history, `rest` stays in the inbox
+ * (other people, unmapped owners, or event types without a quest).
+ */
+export function takeForPerson(inbox, person, config, history) {
+  const logged = new Set(history.map((h) => h.externalId).filter(Boolean));
+  const ready = [];
+  const duplicates = [];
+  const rest = [];
+  for (const event of inbox) {
+    const questId = config.mapping[event.type];
+    if (crmPerson(event, config, person) !== person || !questId) rest.push(event);
+    else if (logged.has(event.externalId)) duplicates.push(event);
+    else ready.push({ event, questId });
+  }
+  return { ready, duplicates, rest };
+}
+
+/* -------------------- Local receiver -------------------- */
+/** New records from the receiver since `cursor`: { events, cursor }. Throws on failure. */
+export async function fetchCrmEvents(receiverUrl, cursor = 0) {
+  const res = await fetch(`${receiverUrl.replace(/\/+$/, "")}/events?after=${encodeURIComponent(cursor)}`);
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  const data = await res.json();
+  const latest = Number(data.cursor) || 0;
+  // A receiver restarted without its file counts from 0 again; read it all (dedupe keeps this safe)
+  if (latest < cursor) return fetchCrmEvents(receiverUrl, 0);
+  return { events: normalizeCrmPayload(data.events || []), cursor: latest };
+}
@@ -0,0 +1,189 @@
+// src/csvImport.js
+// Import historical activities from CSV files with the columns the CSV export writes
+// (EXPORT_COLUMNS in exports.js):
+//   person, date, timestamp, title, category, quest_id, points, deal_value, client, notes, tags
+// The ISO timestamp (with its UTC offset) wins over a plain "time" column, so re-importing
+// an export recognizes every row as a duplicate. Only date, title and points are required;
+// extra columns are ignored.
+// planCsvImport() is a dry run that reports what would happen; applyCsvImport() writes it.
+
+import { uid, recomputeProgress } from "./game.js";
+import {
+  makeFreshState, loadProfiles, saveProfiles, hasPersonState, loadPersonState, savePersonState,
+} from "./storage.js";
+import { loadCatalog, questsFor } from "./catalog.js";
+import { parseTags } from "./historyFilter.js";
+
+/** RFC 4180-style parser: quoted fields, "" escapes, commas/newlines inside quotes, CRLF. */
+export function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  const src = String(text).replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"') {
+        if (src[i + 1] === '"') { field += '"'; i++; }
+        else quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(field); field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(field); field = "";
+      rows.push(row); row = [];
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== "" || row.length) { row.push(field); rows.push(row); }
+  return rows.filter((r) => r.some((f) => f.trim() !== ""));
+}
+
+/** "15:04", "15:04:05", "3:04 PM", "3:04:05 p.m." → [h, m, s] or null. */
+function parseTime(str) {
+  const m = String(str || "").trim().match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([ap])?\.?\s*m?\.?$/i);
+  if (!m) return null;
+  let h = Number(m[1]);
+  const min = Number(m[2]);
+  const sec = Number(m[3] || 0);
+  const ampm = m[4]?.toLowerCase();
+  if (ampm === "p" && h < 12) h += 12;
+  if (ampm === "a" && h === 12) h = 0;
+  if (h > 23 || min > 59 || sec > 59) return null;
+  return [h, min, sec];
+}
+
+/** ISO 8601 date-time, e.g. "2025-03-04T09:15:00+01:00" → ms, or null. No offset means local time. */
+function parseTimestamp(str) {
+  const s = String(str || "").trim();
+  if (!/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/i.test(s)) return null;
+  const ms = Date.parse(s);
+  return Number.isFinite(ms) ? ms : null;
+}
+
+function validDate(str) {
+  const m = String(str || "").trim().match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!m) return null;
+  const d = new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+  return d.getMonth() === Number(m[2]) - 1 ? m[0] : null;
+}
+
+const norm = (s) => String(s || "").trim().toLowerCase();
+const dupKey = (h) => `${h.date}|${norm(h.title)}|${h.points}|${Math.floor((h.timestamp || 0) / 1000)}`;
+
+/**
+ * Dry run. Options:
+ *   fallbackPerson  – used when the file has no person column
+ *   createProfiles  – create profiles that don't exist yet (otherwise their rows are skipped)
+ * Returns { byPerson: { [name]: { entries, isNew } }, skipped: [{ line, reason }], duplicates: [{ line, person, title }], total }
+ */
+export function planCsvImport(text, { fallbackPerson = "", createProfiles = true } = {}) {
+  const rows = parseCSV(text);
+  if (!rows.length) throw new Error("The file is empty.");
+
+  const header = rows[0].map(norm);
+  const col = (name) => header.indexOf(name);
+  const idx = { person: col("person"), date: col("date"), time: col("time"), timestamp: col("timestamp"), title: col("title"),
+    category: col("category"), questId: col("quest_id"), points: col("points"),
+    dealValue: col("deal_value"), client: col("client"), notes: col("notes") >= 0 ? col("notes") : col("deal_notes"), tags: col("tags") };
+  if (idx.date < 0 || idx.title < 0 || idx.points < 0) {
+    throw new Error('Missing columns. Expected a header with at least "date", "title" and "points".');
+  }
+  if (idx.person < 0 && !fallbackPerson) throw new Error('No "person" column — select a person to import into first.');
+
+  // Match names case-insensitively against existing profiles
+  const existing = new Map(loadProfiles().map((p) => [norm(p), p]));
+  const byPerson = {};
+  const seen = {}; // person -> Set(dupKey) of local + already-planned entries
+  const skipped = [];
+  const duplicates = [];
+  const catalog = loadCatalog();
+
+  const target = (rawName) => {
+    const name = existing.get(norm(rawName)) || rawName.trim();
+    if (!byPerson[name]) {
+      const isNew = !existing.has(norm(name)) && !hasPersonState(name);
+      const state = isNew ? makeFreshState(name) : loadPersonState(name);
+      byPerson[name] = { entries: [], isNew, quests: questsFor(catalog, state.quests) };
+      seen[name] = new Set(state.history.map(dupKey));
+    }
+    return name;
+  };
+
+  rows.slice(1).forEach((r, i) => {
+    const line = i + 2;
+    const get = (k) => (idx[k] >= 0 ? String(r[idx[k]] ?? "").trim() : "");
+
+    const rawPerson = idx.person >= 0 ? get("person") : fallbackPerson;
+    if (!rawPerson) return skipped.push({ line, reason: "No person" });
+    const isKnown = existing.has(norm(rawPerson)) || hasPersonState(rawPerson.trim());
+    if (!isKnown && !createProfiles) return skipped.push({ line, reason: `Unknown person "${rawPerson}"` });
+
+    const date = validDate(get("date"));
+    if (!date) return skipped.push({ line, reason: `Bad date "${get("date")}"` });
+    const title = get("title");
+    if (!title) return skipped.push({ line, reason: "Empty title" });
+    const points = Number(get("points"));
+    if (!Number.isFinite(points) || points < 0) return skipped.push({ line, reason: `Bad points "${get("points")}"` });
+
+    const [y, mo, d] = date.split("-").map(Number);
+    const [h, mi, s] = parseTime(get("time")) || [12, 0, 0];
+    const timestamp = parseTimestamp(get("timestamp")) ?? new Date(y, mo - 1, d, h, mi, s).getTime();
+
+    const dealValue = get("dealValue") === "" ? NaN : Number(get("dealValue"));
+    const deal = {
+      ...(Number.isFinite(dealValue) && dealValue >= 0 ? { value: dealValue } : {}),
+      ...(get("client") ? { client: get("client") } : {}),
+    };
+    const tags = parseTags(get("tags"));
+
+    const person = target(rawPerson);
+    const quests = byPerson[person].quests;
+    const quest = quests.find((q) => get("questId") && q.id === get("questId")) || quests.find((q) => norm(q.title) === norm(title));
+    const entry = {
+      id: uid(),
+      date,
+      questId: quest?.id || null,
+      title: quest && norm(quest.title) === norm(title) ? quest.title : title,
+      category: get("category") || quest?.category || "General",
+      points: Math.round(points),
+      emoji: quest?.emoji || "🎯",
+      timestamp,
+      ...(Object.keys(deal).length ? { deal } : {}),
+      ...(get("notes") ? { notes: get("notes") } : {}),
+      ...(tags.length ? { tags } : {}),
+      source: "csv-import",
+    };
+
+    const key = dupKey(entry);
+    if (seen[person].has(key)) return duplicates.push({ line, person, title });
+    seen[person].add(key);
+    byPerson[person].entries.push(entry);
+  });
+
+  for (const p of Object.values(byPerson)) delete p.quests;
+  const total = Object.values(byPerson).reduce((n, p) => n + p.entries.length, 0);
+  return { byPerson, skipped, duplicates, total };
+}
+
+/** Append planned entries, create missing profiles and rebuild progress. Returns affected names. */
+export function applyCsvImport(plan) {
+  const names = Object.keys(plan.byPerson).filter((n) => plan.byPerson[n].entries.length);
+  for (const name of names) {
+    const state = hasPersonState(name) ? loadPersonState(name) : makeFreshState(name);
+    const history = [...state.history, ...plan.byPerson[name].entries].sort((a, b) => a.timestamp - b.timestamp);
+    savePersonState(name, recomputeProgress({ ...state, history }));
+  }
+  const profiles = new Set(loadProfiles());
+  names.forEach((n) => profiles.add(n));
+  saveProfiles([...profiles].sort((a, b) => a.localeCompare(b)));
+  return names;
+}
@@ -0,0 +1,322 @@
+// src/exports.js
+// Export formats for history and focus blocks. Everything is built client-side:
+//   CSV   one row per entry, ISO 8601 timestamps with the UTC offset plus the time zone name
+//   JSON  every profile with its entries and current progress
+//   XLSX  the same rows as CSV plus a profile summary sheet (minimal SpreadsheetML in a stored zip)
+//   ICS   finished focus blocks (state.focusLog) as calendar events
+//   Weekly report  print-optimized HTML per person or team, saved as PDF from the print dialog
+// Current level/streak belong to a profile, not to each entry, so they only appear
+// in the JSON profiles and the XLSX summary sheet.
+
+import { todayISO, addDaysISO } from "./game.js";
+import { goalsHit, dailyPointsGoal, periodBounds } from "./goals.js";
+import { describeRules } from "./scoring.js";
+import { byCategory } from "./analytics.js";
+
+export const EXPORT_FORMAT = "sm-productivity-game-export";
+export const TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+
+const pad = (n, w = 2) => String(Math.abs(Math.trunc(n))).padStart(w, "0");
+
+/** Local time with its UTC offset, e.g. "2025-03-04T09:15:00+01:00". */
+export function localISO(ts) {
+  const d = new Date(ts);
+  const off = -d.getTimezoneOffset();
+  return `${todayISO(d)}T${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}${off >= 0 ? "+" : "-"}${pad(off / 60)}:${pad(off % 60)}`;
+}
+
+/* -------------------- Rows -------------------- */
+export const EXPORT_COLUMNS = [
+  "person", "team", "date", "timestamp", "timezone", "title", "category", "quest_id", "points", "base_points",
+  "bonus_rules", "catalog_version", "deal_value", "client", "notes", "tags", "external_id",
+];
+
+/** One flat row per entry, oldest first. */
+export function entryRows(name, team, history) {
+  return [...history]
+    .sort((a, b) => a.timestamp - b.timestamp)
+    .map((h) => ({
+      person: name,
+      team,
+      date: h.date,
+      timestamp: localISO(h.timestamp),
+      timezone: TIMEZONE,
+      title: h.title,
+      category: h.category || "",
+      quest_id: h.questId || "",
+      points: h.points,
+      base_points: h.basePoints ?? h.points,
+      bonus_rules: describeRules(h.rules),
+      catalog_version: h.catalogVersion ?? "",
+      deal_value: h.deal?.value ?? "",
+      client: h.deal?.client || "",
+      notes: h.notes || h.deal?.notes || "",
+      tags: (h.tags || []).join(", "),
+      external_id: h.externalId || "",
+    }));
+}
+
+/** Current progress per profile: profiles is [{ name, team, state }]. */
+export const summaryRows = (profiles) => profiles.map(({ name, team, state: s }) => ({
+  person: name,
+  team,
+  level: s.level,
+  xp: s.xp,
+  streak: s.streak,
+  longest_streak: s.longestStreak || 0,
+  season_start: s.seasonStart || "",
+  season_end: s.seasonEnd || "",
+  entries: s.history.length,
+  points: s.history.reduce((sum, h) => sum + (h.points || 0), 0),
+}));
+
+/* -------------------- CSV / JSON -------------------- */
+export function toCSV(rows, columns = EXPORT_COLUMNS) {
+  const cell = (v) => `"${String(v ?? "").replace(/"/g, '""')}"`;
+  return [columns.map(cell).join(","), ...rows.map((r) => columns.map((c) => cell(r[c])).join(","))].join("\r\n");
+}
+
+export function toJSON(profiles) {
+  return JSON.stringify({
+    format: EXPORT_FORMAT,
+    exportedAt: localISO(Date.now()),
+    timezone: TIMEZONE,
+    profiles: profiles.map(({ name, team, state: s }) => ({
+      name,
+      team,
+      progress: { level: s.level, xp: s.xp, streak: s.streak, longestStreak: s.longestStreak || 0, seasonStart: s.seasonStart, seasonEnd: s.seasonEnd },
+      entries: [...s.history].sort((a, b) => a.timestamp - b.timestamp).map((h) => ({ ...h, timestampISO: localISO(h.timestamp) })),
+      focusBlocks: s.focusLog || [],
+    })),
+  }, null, 2);
+}
+
+/* -------------------- XLSX -------------------- */
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+function crc32(bytes) {
+  let c = 0xffffffff;
+  for (const b of bytes) c = CRC_TABLE[(c ^ b) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+/** Uncompressed ("stored") zip of { path: string } files. */
+function zip(files) {
+  const enc = new TextEncoder();
+  const chunks = [];
+  const central = [];
+  let offset = 0;
+  for (const [path, content] of Object.entries(files)) {
+    const name = enc.encode(path);
+    const data = enc.encode(content);
+    const crc = crc32(data);
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, 0x0800, true); // UTF-8 names
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    chunks.push(new Uint8Array(local.buffer), name, data);
+
+    const entry = new DataView(new ArrayBuffer(46));
+    entry.setUint32(0, 0x02014b50, true);
+    entry.setUint16(4, 20, true);
+    entry.setUint16(6, 20, true);
+    entry.setUint16(8, 0x0800, true);
+    entry.setUint32(16, crc, true);
+    entry.setUint32(20, data.length, true);
+    entry.setUint32(24, data.length, true);
+    entry.setUint16(28, name.length, true);
+    entry.setUint32(42, offset, true);
+    central.push(new Uint8Array(entry.buffer), name);
+    offset += 30 + name.length + data.length;
+  }
+  const centralSize = central.reduce((n, c) => n + c.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, Object.keys(files).length, true);
+  end.setUint16(10, Object.keys(files).length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...chunks, ...central, new Uint8Array(end.buffer)];
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let at = 0;
+  for (const p of parts) { out.set(p, at); at += p.length; }
+  return out;
+}
+
+const xml = (s) => String(s ?? "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;")
+  .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, "");
+
+function colName(i) {
+  let s = "";
+  for (let n = i + 1; n > 0; n = Math.floor((n - 1) / 26)) s = String.fromCharCode(65 + ((n - 1) % 26)) + s;
+  return s;
+}
+
+function sheetXML(columns, rows) {
+  const cell = (v, ref) => (typeof v === "number" && Number.isFinite(v)
+    ? `<c r="${ref}"><v>${v}</v></c>`
+    : `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${xml(v)}</t></is></c>`);
+  const line = (values, r) => `<row r="${r}">${values.map((v, i) => cell(v, colName(i) + r)).join("")}</row>`;
+  const body = [line(columns, 1), ...rows.map((row, i) => line(columns.map((c) => row[c]), i + 2))].join("");
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>${body}</sheetData></worksheet>`;
+}
+
+/** Workbook bytes for sheets [{ name, columns, rows }]. */
+export function toXLSX(sheets) {
+  const files = {
+    "[Content_Types].xml": `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>${sheets.map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join("")}</Types>`,
+    "_rels/.rels": `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>`,
+    "xl/workbook.xml": `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>${sheets.map((s, i) => `<sheet name="${xml(s.name.slice(0, 31))}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join("")}</sheets></workbook>`,
+    "xl/_rels/workbook.xml.rels": `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${sheets.map((_, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join("")}</Relationships>`,
+  };
+  sheets.forEach((s, i) => { files[`xl/worksheets/sheet${i + 1}.xml`] = sheetXML(s.columns, s.rows); });
+  return zip(files);
+}
+
+/* -------------------- iCalendar (focus blocks) -------------------- */
+const icsDate = (ts) => new Date(ts).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+const icsText = (s) => String(s).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/[,;]/g, (m) => "\\" + m);
+
+/** Lines longer than 75 octets continue on the next line after a space (RFC 5545). */
+function fold(line) {
+  const enc = new TextEncoder();
+  const out = [];
+  let current = "";
+  for (const ch of line) {
+    if (enc.encode(current + ch).length > (out.length ? 74 : 75)) { out.push(current); current = ""; }
+    current += ch;
+  }
+  out.push(current);
+  return out.join("\r\n ");
+}
+
+/**
+ * Calendar of finished focus blocks: focusLog [{ id, questId, minutes, finishedAt, person? }].
+ * `name` names the calendar and is the person for blocks without their own.
+ */
+export function focusICS(name, focusLog = [], quests = []) {
+  const title = (f) => {
+    const quest = quests.find((q) => q.id === f.questId);
+    return quest ? `Focus: ${quest.title}` : "Focus block";
+  };
+  const events = focusLog.map((f) => [
+    "BEGIN:VEVENT",
+    `UID:${f.id}@sm-productivity-game`,
+    `DTSTAMP:${icsDate(Date.now())}`,
+    `DTSTART:${icsDate(f.finishedAt - (f.minutes || 0) * 60000)}`,
+    `DTEND:${icsDate(f.finishedAt)}`,
+    `SUMMARY:${icsText(title(f))}`,
+    `DESCRIPTION:${icsText(`${f.minutes} min focus block — ${f.person || name}`)}`,
+    "END:VEVENT",
+  ]);
+  return [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Sales & Marketing Game//Focus blocks//EN",
+    "CALSCALE:GREGORIAN",
+    `X-WR-CALNAME:${icsText(`Focus blocks — ${name}`)}`,
+    ...events.flat(),
+    "END:VCALENDAR",
+  ].map(fold).join("\r\n") + "\r\n";
+}
+
+/* -------------------- Weekly report -------------------- */
+/** Monday–Sunday week containing `iso`, `offset` weeks back or forward. */
+export function reportWeek(iso = todayISO(), offset = 0) {
+  return periodBounds("week", addDaysISO(iso, offset * 7));
+}
+
+/**
+ * One person's week: totals, categories, goal hits and badges earned.
+ * Goal hits count the daily points goal per day plus day and week goals; month goals
+ * can't be judged from one week and are left out.
+ */
+export function weeklySummary({ name, team, state: s }, { start, end }, badges = []) {
+  const rows = s.history.filter((h) => h.date >= start && h.date <= end);
+  const goals = [dailyPointsGoal(s.settings), ...(s.goals || []).filter((g) => g.period !== "month")];
+  const earned = Object.entries(s.badgesEarned || {})
+    .filter(([, ts]) => { const d = todayISO(new Date(ts)); return d >= start && d <= end; })
+    .map(([id]) => badges.find((b) => b.id === id))
+    .filter(Boolean);
+  return {
+    name,
+    team,
+    points: rows.reduce((sum, h) => sum + (h.points || 0), 0),
+    entries: rows.length,
+    categories: byCategory(rows),
+    goalHits: goalsHit(goals, rows),
+    focusMinutes: (s.focusLog || []).filter((f) => f.date >= start && f.date <= end).reduce((m, f) => m + (f.minutes || 0), 0),
+    dealValue: rows.reduce((sum, h) => sum + (Number(h.deal?.value) || 0), 0),
+    badges: earned.map((b) => `${b.emoji || "🏅"} ${b.label}`),
+  };
+}
+
+const esc = (s) => String(s ?? "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
+/** Standalone, print-optimized HTML for summaries from weeklySummary(). */
+export function weeklyReportHTML({ title, start, end, summaries, currency = "USD" }) {
+  const money = (v) => { try { return new Intl.NumberFormat(undefined, { style: "currency", currency, maximumFractionDigits: 0 }).format(v); } catch { return String(v); } };
+  const total = (k) => summaries.reduce((sum, p) => sum + p[k], 0);
+  const person = (p) => `
+    <section>
+      <h2>${esc(p.name)}${p.team ? ` <small>${esc(p.team)}</small>` : ""}</h2>
+      <table class="kpis"><tr>
+        <td><b>${p.points}</b><span>points</span></td><td><b>${p.entries}</b><span>activities</span></td>
+        <td><b>${p.goalHits}</b><span>goals hit</span></td><td><b>${p.focusMinutes}</b><span>focus min</span></td>
+        ${p.dealValue ? `<td><b>${money(p.dealValue)}</b><span>deal value</span></td>` : ""}
+      </tr></table>
+      ${p.categories.length ? `<table class="rows"><tr><th>Category</th><th>Activities</th><th>Points</th></tr>${p.categories.map((c) => `<tr><td>${esc(c.key)}</td><td>${c.count}</td><td>${c.points}</td></tr>`).join("")}</table>` : "<p>No activity this week.</p>"}
+      <p><b>Badges earned:</b> ${p.badges.length ? p.badges.map(esc).join(", ") : "none"}</p>
+    </section>`;
+
+  return `<!doctype html>
+<html><head><meta charset="utf-8"><title>${esc(title)} · ${start} – ${end}</title>
+<style>
+  body { font: 13px/1.4 system-ui, sans-serif; color: #111; margin: 2rem; }
+  h1 { font-size: 20px; margin: 0; } h2 { font-size: 16px; margin: 1.2rem 0 .4rem; } h2 small { font-weight: normal; color: #666; }
+  .meta { color: #555; margin-bottom: 1rem; }
+  table { border-collapse: collapse; width: 100%; margin: .4rem 0; }
+  .kpis td { border: 1px solid #ccc; padding: .4rem; text-align: center; } .kpis b { display: block; font-size: 16px; } .kpis span { color: #555; font-size: 11px; }
+  .rows th, .rows td { border-bottom: 1px solid #ddd; padding: .2rem .4rem; text-align: left; }
+  section { break-inside: avoid; }
+  @media print { body { margin: 0; } .noprint { display: none; } }
+</style></head>
+<body>
+  <button class="noprint" onclick="window.print()">Print / Save as PDF</button>
+  <h1>${esc(title)}</h1>
+  <div class="meta">Week ${start} – ${end} · ${summaries.length} ${summaries.length === 1 ? "person" : "people"}${summaries.length > 1 ? ` · ${total("points")} points · ${total("entries")} activities · ${total("goalHits")} goals hit` : ""}</div>
+  ${summaries.map(person).join("")}
+</body></html>`;
+}
+
+/* -------------------- Browser helpers -------------------- */
+export function downloadFile(fileName, content, type) {
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(new Blob([content], { type }));
+  a.download = fileName;
+  a.click();
+  URL.revokeObjectURL(a.href);
+}
+
+/** Open the report in a new tab; returns false when a popup blocker stops it. */
+export function openPrintable(html) {
+  const w = window.open("", "_blank");
+  if (!w) return false;
+  w.document.open();
+  w.document.write(html);
+  w.document.close();
+  return true;
+}
@@ -0,0 +1,175 @@
+// src/game.js
+// Pure game logic: dates, levels, streaks and defaults. No React, no storage,
+// so it can run anywhere (including Node with the in-memory storage adapter).
+
+/* -------------------- Utilities -------------------- */
+export const todayISO = (d = new Date()) => {
+  const y = d.getFullYear();
+  const m = String(d.getMonth() + 1).padStart(2, "0");
+  const day = String(d.getDate()).padStart(2, "0");
+  return `${y}-${m}-${day}`;
+};
+export const clamp = (n, min, max) => Math.max(min, Math.min(max, n));
+export const uid = () => Math.random().toString(36).slice(2, 9);
+export const xpForLevel = (level) => 100 + (level - 1) * 75;
+export function safeJSONParse(str, fallback) { try { return JSON.parse(str); } catch { return fallback; } }
+
+/** "YYYY-MM-DD" → local Date at midnight (new Date("YYYY-MM-DD") would be UTC). */
+export function parseISODate(iso) {
+  const [y, m, d] = String(iso).split("-").map(Number);
+  return new Date(y, (m || 1) - 1, d || 1);
+}
+/** Shift a "YYYY-MM-DD" date by n local days. */
+export function addDaysISO(iso, n) {
+  const d = parseISODate(iso);
+  d.setDate(d.getDate() + n);
+  const m = String(d.getMonth() + 1).padStart(2, "0");
+  const day = String(d.getDate()).padStart(2, "0");
+  return `${d.getFullYear()}-${m}-${day}`;
+}
+
+/** Local-time ISO week key like "2025-W09" (Mon-based) */
+export function isoWeekKey(d = new Date()) {
+  const date = new Date(d.getFullYear(), d.getMonth(), d.getDate());
+  const dayNum = (date.getDay() + 6) % 7;             // Mon=0..Sun=6
+  date.setDate(date.getDate() - dayNum + 3);          // Thu of this week
+  const week1 = new Date(date.getFullYear(), 0, 4);   // Jan 4th
+  const weekNo = 1 + Math.round(
+    ((date - week1) / 86400000 - 3 + ((week1.getDay() + 6) % 7)) / 7
+  );
+  const year = date.getFullYear();
+  return `${year}-W${String(weekNo).padStart(2, "0")}`;
+}
+
+/* -------------------- Defaults -------------------- */
+// Stable ids so badges, rules and integrations can refer to the built-in quests.
+export const defaultQuests = [
+  { id: "q-prospecting-call", title: "Prospecting call", points: 5, category: "Sales", emoji: "📞" },
+  { id: "q-book-meeting", title: "Book a meeting", points: 15, category: "Sales", emoji: "📅" },
+  { id: "q-send-proposal", title: "Send proposal/quote", points: 20, category: "Sales", emoji: "📨", askDeal: true },
+  { id: "q-close-deal", title: "Close a deal", points: 75, category: "Sales", emoji: "🏁", askDeal: true },
+  { id: "q-linkedin-post", title: "LinkedIn post", points: 10, category: "Marketing", emoji: "📝" },
+  { id: "q-comments", title: "5 meaningful comments", points: 5, category: "Marketing", emoji: "💬" },
+  { id: "q-newsletter", title: "Email newsletter", points: 20, category: "Marketing", emoji: "📧" },
+  { id: "q-crm-leads", title: "Add 10 leads to CRM", points: 10, category: "Ops", emoji: "🗂️" },
+];
+
+export const defaultSettings = {
+  dailyGoal: 100,
+  pomodoroMinutes: 25,
+  shortBreakMinutes: 5,
+  longBreakMinutes: 15,
+  timerPoints: { work: 25, short: 5, long: 15 }, // base points for a finished focus block
+  autoCycle: false, // work → short break → … → long break after every `longBreakEvery` work blocks
+  autoStartNext: false,
+  longBreakEvery: 4,
+  workDays: [1, 2, 3, 4, 5], // days that can break a streak (0 = Sun … 6 = Sat)
+  holidays: [], // "YYYY-MM-DD" dates that never break a streak
+  freezeEarnEvery: 5, // goal days in a row that earn a streak-freeze token
+  freezeMax: 2, // tokens held at once
+  currency: "USD", // deal values in the revenue panel
+  reminders: [ // see reminders.js
+    { id: "r-no-activity", type: "noActivity", time: "11:00", enabled: true },
+    { id: "r-goal-gap", type: "goalGap", time: "16:00", enabled: true },
+    { id: "r-streak-risk", type: "streakRisk", time: "17:30", enabled: true },
+  ],
+  quietHours: { from: "19:00", to: "08:00" }, // no reminders in between
+  reminderSound: true,
+  theme: "system", // light | dark | system
+};
+
+/* -------------------- Season reset constants -------------------- */
+export const SEASON_RESET_LEVEL = 1;
+export const SEASON_RESET_XP = 0;
+
+/* -------------------- Progress (derived from history) -------------------- */
+/** Cumulative XP → current level and XP into that level. */
+export function levelFromXP(totalXP) {
+  let level = 1;
+  let into = totalXP;
+  while (into >= xpForLevel(level)) {
+    into -= xpForLevel(level);
+    level += 1;
+  }
+  return { level, into };
+}
+
+/** A goal's value over some history rows: points or completions, optionally for one quest/category (see goals.js). */
+export function goalValue(goal, rows) {
+  const hits = rows.filter(h => (!goal.questId || h.questId === goal.questId) && (!goal.category || h.category === goal.category));
+  return goal.measure === "count" ? hits.length : hits.reduce((sum, h) => sum + (h.points || 0), 0);
+}
+
+/**
+ * Streak engine, walked day by day over history in local dates:
+ *  - a goal day means the daily points goal and every daily goal in `goals` were hit
+ *  - only working days (settings.workDays, 0 = Sun … 6 = Sat) that are not holidays
+ *    can break a streak; hitting the goal on a day off still adds to it
+ *  - every `freezeEarnEvery` goal days in a row earn a freeze token (holding at most
+ *    `freezeMax`); a missed working day spends one instead of breaking the streak
+ *  - today only counts once the goal is hit, and cannot break anything before that
+ * Returns { streak, longestStreak, freezeTokens, frozenDates, lastGoalDate }.
+ */
+export function computeStreak(history, settings, today = todayISO(), goals = []) {
+  const byDate = {};
+  for (const h of history) (byDate[h.date] = byDate[h.date] || []).push(h);
+  const dates = Object.keys(byDate).sort();
+  const dailyGoals = [{ measure: "points", target: settings.dailyGoal || 0 }, ...goals.filter(g => g.period === "day")];
+  const hit = (d) => d in byDate && dailyGoals.every(g => goalValue(g, byDate[d]) >= (Number(g.target) || 0));
+  const workDays = new Set(settings.workDays || defaultSettings.workDays);
+  const holidays = new Set(settings.holidays || []);
+  const earnEvery = Number(settings.freezeEarnEvery) || 0;
+  const maxTokens = Number(settings.freezeMax) || 0;
+
+  let streak = 0, longestStreak = 0, freezeTokens = 0, run = 0, lastGoalDate = null;
+  const frozenDates = [];
+  for (let d = dates[0]; d && d <= today; d = addDaysISO(d, 1)) {
+    if (hit(d)) {
+      streak += 1;
+      run += 1;
+      lastGoalDate = d;
+      longestStreak = Math.max(longestStreak, streak);
+      if (earnEvery > 0 && run % earnEvery === 0) freezeTokens = Math.min(maxTokens, freezeTokens + 1);
+      continue;
+    }
+    if (d === today) break;
+    if (!workDays.has(parseISODate(d).getDay()) || holidays.has(d)) continue;
+    run = 0;
+    if (freezeTokens > 0) {
+      freezeTokens -= 1;
+      frozenDates.push(d);
+    } else {
+      streak = 0;
+    }
+  }
+  return { streak, longestStreak, freezeTokens, frozenDates, lastGoalDate };
+}
+
+/**
+ * Rebuild xp, level and the streak fields from history (never patched incrementally).
+ * XP counts the current season (seasonStart..seasonEnd, see seasons.js) after any manual reset.
+ */
+export function recomputeProgress(s) {
+  const since = s.resetAt || 0;
+  const inSeason = (d) => (!s.seasonStart || d >= s.seasonStart) && (!s.seasonEnd || d <= s.seasonEnd);
+  const xp = s.history
+    .filter(h => inSeason(h.date) && (h.timestamp || 0) >= since)
+    .reduce((sum, h) => sum + (h.points || 0), 0);
+  const { level } = levelFromXP(xp);
+  return { ...s, xp, level, ...computeStreak(s.history, s.settings, todayISO(), s.goals || []) };
+}
+
+/** Shape a history entry the way the sheet expects it. */
+export const sheetActivity = (name, h) => ({
+  name,
+  date: h.date,
+  questId: h.questId || "",
+  title: h.title,
+  category: h.category || "General",
+  points: h.points,
+  timestamp: h.timestamp,
+  dealValue: h.deal?.value ?? "",
+  client: h.deal?.client || "",
+  notes: h.notes || h.deal?.notes || "",
+  tags: (h.tags || []).join(", "),
+});
@@ -0,0 +1,87 @@
+// src/goals.js
+// Goal hierarchy on top of the daily points goal (settings.dailyGoal). Goals live on
+// the person state (state.goals):
+//
+//   { id, period: "day"|"week"|"month", measure: "points"|"count", questId?, category?, target }
+//
+// Weeks run Monday–Sunday and months are calendar months, both in local dates. Pace
+// compares progress with where you'd be if the target were spread evenly over the
+// working days (settings.workDays / holidays) of the period.
+
+import { todayISO, addDaysISO, parseISODate, uid, goalValue, defaultSettings } from "./game.js";
+
+export const GOAL_PERIODS = { day: "Daily", week: "Weekly", month: "Monthly" };
+export const GOAL_MEASURES = { points: "Points", count: "Completions" };
+
+// Working hours used to pace daily goals
+const DAY_START_HOUR = 9;
+const DAY_END_HOUR = 17;
+
+export const makeGoal = () => ({ id: uid(), period: "week", measure: "count", questId: "", category: "", target: 10 });
+
+/** { start, end } (inclusive ISO dates) of the goal period containing `iso`. */
+export function periodBounds(period, iso = todayISO()) {
+  if (period === "day") return { start: iso, end: iso };
+  if (period === "week") {
+    const start = addDaysISO(iso, -((parseISODate(iso).getDay() + 6) % 7));
+    return { start, end: addDaysISO(start, 6) };
+  }
+  const d = parseISODate(iso);
+  const start = todayISO(new Date(d.getFullYear(), d.getMonth(), 1));
+  return { start, end: todayISO(new Date(d.getFullYear(), d.getMonth() + 1, 0)) };
+}
+
+function workingDays(start, end, settings) {
+  const workDays = new Set(settings.workDays || defaultSettings.workDays);
+  const holidays = new Set(settings.holidays || []);
+  const out = [];
+  for (let d = start; d <= end; d = addDaysISO(d, 1)) {
+    if (workDays.has(parseISODate(d).getDay()) && !holidays.has(d)) out.push(d);
+  }
+  return out;
+}
+
+/** Share of the period that should be done by `now` (0..1). */
+function elapsedShare(period, bounds, settings, now) {
+  const today = todayISO(now);
+  if (period === "day") {
+    const hours = now.getHours() + now.getMinutes() / 60;
+    return Math.min(1, Math.max(0, (hours - DAY_START_HOUR) / (DAY_END_HOUR - DAY_START_HOUR)));
+  }
+  const days = workingDays(bounds.start, bounds.end, settings);
+  if (!days.length) return 1;
+  return days.filter((d) => d <= today).length / days.length;
+}
+
+/**
+ * Progress for one goal right now:
+ * { value, target, pct, done, expected, behind, status: "done"|"ahead"|"on track"|"behind", start, end }
+ */
+export function goalProgress(goal, history, settings, now = new Date()) {
+  const bounds = periodBounds(goal.period, todayISO(now));
+  const rows = history.filter((h) => h.date >= bounds.start && h.date <= bounds.end);
+  const value = goalValue(goal, rows);
+  const target = Math.max(1, Number(goal.target) || 1);
+  const expected = Math.round(target * elapsedShare(goal.period, bounds, settings, now));
+  const behind = Math.max(0, expected - value);
+  const status = value >= target ? "done" : behind > 0 ? "behind" : value > expected ? "ahead" : "on track";
+  return { ...bounds, value, target, pct: Math.min(100, Math.round((value / target) * 100)), done: value >= target, expected, behind, status };
+}
+
+/** The daily points goal expressed as a goal, so it can share the ring UI. */
+export const dailyPointsGoal = (settings) => ({ id: "daily-points", period: "day", measure: "points", target: settings.dailyGoal });
+
+/** How many goal periods have been completed across history (all goals, all periods). */
+export function goalsHit(goals = [], history = []) {
+  let hits = 0;
+  for (const goal of goals) {
+    const byPeriod = {};
+    for (const h of history) {
+      const key = periodBounds(goal.period, h.date).start;
+      (byPeriod[key] = byPeriod[key] || []).push(h);
+    }
+    const target = Math.max(1, Number(goal.target) || 1);
+    hits += Object.values(byPeriod).filter((rows) => goalValue(goal, rows) >= target).length;
+  }
+  return hits;
+}
@@ -0,0 +1,53 @@
+// src/historyFilter.js
+// Notes, tags and filtering for the history browser. Entries may carry
+//   notes: "free text"      tags: ["follow-up", "acme"]
+// A filter is { from, to, category, questId, tag, q } — empty fields match everything.
+// The same filter drives the browser and the CSV exports.
+
+export const EMPTY_FILTER = { from: "", to: "", category: "", questId: "", tag: "", q: "" };
+
+export const HISTORY_PAGE_SIZE = 25;
+
+/** "follow-up, #Acme,  hot" → ["follow-up", "Acme", "hot"] (case-insensitive dedupe). */
+export function parseTags(input) {
+  const list = Array.isArray(input) ? input : String(input || "").split(/[,;]/);
+  const seen = new Set();
+  const out = [];
+  for (const raw of list) {
+    const tag = String(raw).trim().replace(/^#+/, "");
+    if (!tag || seen.has(tag.toLowerCase())) continue;
+    seen.add(tag.toLowerCase());
+    out.push(tag);
+  }
+  return out;
+}
+
+/** Every tag used in history, sorted. */
+export function allTags(history) {
+  return parseTags(history.flatMap((h) => h.tags || [])).sort((a, b) => a.localeCompare(b));
+}
+
+export const isFilterActive = (f) => Object.keys(EMPTY_FILTER).some((k) => !!f[k]);
+
+const haystack = (h) =>
+  [h.title, h.category, h.notes, h.deal?.client, h.deal?.notes, ...(h.tags || [])].filter(Boolean).join(" ").toLowerCase();
+
+/** Entries matching the filter, newest first. */
+export function filterHistory(history, f = EMPTY_FILTER) {
+  const words = String(f.q || "").toLowerCase().split(/\s+/).filter(Boolean);
+  const tag = String(f.tag || "").toLowerCase();
+  return history
+    .filter((h) => (!f.from || h.date >= f.from) && (!f.to || h.date <= f.to)
+      && (!f.category || (h.category || "General") === f.category)
+      && (!f.questId || h.questId === f.questId)
+      && (!tag || (h.tags || []).some((t) => t.toLowerCase() === tag))
+      && (!words.length || words.every((w) => haystack(h).includes(w))))
+    .sort((a, b) => b.timestamp - a.timestamp);
+}
+
+/** { rows, page, pages } for a 0-based page (clamped into range). */
+export function paginate(rows, page, size = HISTORY_PAGE_SIZE) {
+  const pages = Math.max(1, Math.ceil(rows.length / size));
+  const p = Math.min(Math.max(0, page), pages - 1);
+  return { rows: rows.slice(p * size, (p + 1) * size), page: p, pages };
+}
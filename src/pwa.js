@@ -0,0 +1,94 @@
+// src/pwa.js
+// Service worker registration and the notification plumbing built on it.
+// Notifications go through registration.showNotification so they work while the
+// tab is in the background and on mobile (where `new Notification` is not allowed).
+
+let registrationPromise = null;
+
+/** Register /sw.js (production builds only; the dev server has no stable asset URLs). */
+export function registerServiceWorker() {
+  if (!("serviceWorker" in navigator) || !import.meta.env.PROD) return Promise.resolve(null);
+  if (!registrationPromise) {
+    registrationPromise = navigator.serviceWorker
+      .register("/sw.js")
+      .then(() => navigator.serviceWorker.ready)
+      .catch((err) => {
+        console.warn("Service worker registration failed:", err);
+        return null;
+      });
+  }
+  return registrationPromise;
+}
+
+async function activeWorker() {
+  if (!("serviceWorker" in navigator) || !registrationPromise) return null;
+  const reg = await registrationPromise;
+  return reg?.active || null;
+}
+
+export const notificationsSupported = () => "Notification" in window;
+
+/** Ask once, lazily (call from a user gesture). Resolves to the permission ("unsupported" without the API). */
+export function requestNotifyPermission() {
+  if (!notificationsSupported()) return Promise.resolve("unsupported");
+  if (Notification.permission === "default") {
+    return Notification.requestPermission().catch(() => Notification.permission);
+  }
+  return Promise.resolve(Notification.permission);
+}
+
+/** Show a system notification now. Falls back to an in-page Notification without a service worker. */
+export async function showSystemNotification(title, options = {}) {
+  if (!notificationsSupported() || Notification.permission !== "granted") return;
+  const reg = registrationPromise ? await registrationPromise : null;
+  if (reg) {
+    try { await reg.showNotification(title, options); return; } catch {}
+  }
+  try {
+    const n = new Notification(title, options);
+    n.onclick = () => { try { window.focus(); } catch {} };
+  } catch {}
+}
+
+// Pending alarms by tag → ms epoch. While any is pending the page pings the worker every
+// minute so it arms the ones coming up (a worker alone can't hold a timer for long).
+const pendingAlarms = new Map();
+const WAKE_EVERY_MS = 60 * 1000;
+let wakeTimer = null;
+
+function wakeWorker() {
+  const now = Date.now();
+  for (const [tag, at] of pendingAlarms) if (at < now) pendingAlarms.delete(tag);
+  if (!pendingAlarms.size) { clearInterval(wakeTimer); wakeTimer = null; return; }
+  activeWorker().then((sw) => sw?.postMessage({ type: "wake-notifications" }));
+}
+
+/**
+ * Schedule a notification for `at` (ms epoch), replacing any pending one with the same tag.
+ * The service worker shows it on time while the app is open in some tab, including a
+ * background one. With the app closed it is not delivered, so callers also show the
+ * notification themselves when they notice the time has come (same tag, never doubled).
+ */
+export async function scheduleSystemNotification(tag, at, title, options = {}) {
+  if (!notificationsSupported() || Notification.permission !== "granted") return;
+  const sw = await activeWorker();
+  if (!sw) return;
+  sw.postMessage({ type: "schedule-notification", tag, at, title, options });
+  pendingAlarms.set(tag, at);
+  if (!wakeTimer) wakeTimer = setInterval(wakeWorker, WAKE_EVERY_MS);
+}
+
+/** Cancel a scheduled notification and close it if it is already showing. */
+export async function cancelSystemNotification(tag) {
+  pendingAlarms.delete(tag);
+  const sw = await activeWorker();
+  sw?.postMessage({ type: "cancel-notification", tag });
+}
+
+/** Listen for notification clicks relayed by the service worker. Returns an unsubscribe function. */
+export function onNotificationClick(fn) {
+  if (!("serviceWorker" in navigator)) return () => {};
+  const handler = (e) => { if (e.data?.type === "notification-click") fn(e.data); };
+  navigator.serviceWorker.addEventListener("message", handler);
+  return () => navigator.serviceWorker.removeEventListener("message", handler);
+}
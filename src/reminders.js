@@ -0,0 +1,115 @@
+// src/reminders.js
+// Nudges at set times of the working day. Reminders live in the person's settings:
+//
+//   settings.reminders:   [{ id, type, time: "HH:MM", enabled, questId? }]
+//   settings.quietHours:  { from: "HH:MM", to: "HH:MM" }   // may wrap midnight
+//   settings.reminderSound: boolean
+//
+// A reminder fires once per day, on working days (settings.workDays / holidays) outside
+// quiet hours, and only while its condition holds. Each one points at a quest: the one
+// it's configured with, or the most useful one right now.
+
+import { getStorage, STORAGE_PREFIX } from "./storage.js";
+import { safeJSONParse, todayISO, parseISODate, uid, defaultSettings } from "./game.js";
+
+const FIRED_KEY = STORAGE_PREFIX + "reminders-fired"; // { [person]: { date, ids: [] } }
+
+export const REMINDER_TYPES = {
+  noActivity: "Nothing logged yet",
+  goalGap: "Short of the daily goal",
+  streakRisk: "Streak at risk",
+};
+
+export const makeReminder = (type = "noActivity") => ({ id: "r-" + uid(), type, time: "11:00", enabled: true });
+
+/* -------------------- Time helpers -------------------- */
+const minutesOf = (hhmm) => { const [h, m] = String(hhmm || "0:0").split(":").map(Number); return (h || 0) * 60 + (m || 0); };
+
+/** ms timestamp of "HH:MM" on the local date `iso`. */
+export function reminderTime(reminder, iso = todayISO()) {
+  const d = parseISODate(iso);
+  d.setMinutes(minutesOf(reminder.time));
+  return d.getTime();
+}
+
+export function isQuietTime(ts, settings) {
+  const q = settings.quietHours;
+  if (!q?.from || !q?.to || q.from === q.to) return false;
+  const d = new Date(ts);
+  const t = d.getHours() * 60 + d.getMinutes();
+  const a = minutesOf(q.from);
+  const b = minutesOf(q.to);
+  return a < b ? t >= a && t < b : t >= a || t < b;
+}
+
+export function isWorkingDay(iso, settings) {
+  return (settings.workDays || defaultSettings.workDays).includes(parseISODate(iso).getDay())
+    && !(settings.holidays || []).includes(iso);
+}
+
+/* -------------------- Conditions -------------------- */
+/** Most-completed quest in history, else the first one. */
+function favouriteQuest(quests, history) {
+  const counts = {};
+  for (const h of history) if (h.questId) counts[h.questId] = (counts[h.questId] || 0) + 1;
+  return [...quests].sort((a, b) => (counts[b.id] || 0) - (counts[a.id] || 0))[0] || null;
+}
+
+/** Smallest quest that closes the gap on its own, else the biggest one. */
+function gapQuest(quests, gap) {
+  const byPoints = [...quests].sort((a, b) => a.points - b.points);
+  return byPoints.find((q) => q.points >= gap) || byPoints[byPoints.length - 1] || null;
+}
+
+/**
+ * The reminder's message if its condition holds right now, else null.
+ * ctx: { history, settings, streak, quests, outstanding: [quest], today }
+ * → { title, body, questId }
+ */
+export function reminderMessage(reminder, { history, settings, streak, quests, outstanding = [], today = todayISO() }) {
+  const rows = history.filter((h) => h.date === today);
+  const points = rows.reduce((s, h) => s + (h.points || 0), 0);
+  const gap = Math.max(0, (Number(settings.dailyGoal) || 0) - points);
+  const pick = (auto) => quests.find((q) => q.id === reminder.questId) || auto;
+
+  if (reminder.type === "noActivity") {
+    if (rows.length) return null;
+    const quest = pick(outstanding[0] || favouriteQuest(quests, history));
+    return { title: "Nothing logged yet today", body: quest ? `Start with ${quest.emoji || "🎯"} ${quest.title}.` : "Log your first activity.", questId: quest?.id };
+  }
+  if (reminder.type === "goalGap") {
+    if (!gap) return null;
+    const quest = pick(gapQuest(quests, gap));
+    return { title: `You're ${gap} pts from your daily goal`, body: quest ? `${quest.emoji || "🎯"} ${quest.title} is worth ${quest.points}.` : "", questId: quest?.id };
+  }
+  if (reminder.type === "streakRisk") {
+    if (!streak || !gap) return null;
+    const quest = pick(gapQuest(quests, gap));
+    return { title: `Your ${streak}-day streak is at risk`, body: `${gap} pts to go today${quest ? ` — try ${quest.emoji || "🎯"} ${quest.title}` : ""}.`, questId: quest?.id };
+  }
+  return null;
+}
+
+/**
+ * Today's reminders that should go out: [{ reminder, at, message }]. Skipped on
+ * non-working days, when `at` falls in quiet hours, or when the condition doesn't hold.
+ */
+export function planReminders(ctx) {
+  const { settings, today = todayISO() } = ctx;
+  if (!isWorkingDay(today, settings)) return [];
+  return (settings.reminders || [])
+    .filter((r) => r.enabled && REMINDER_TYPES[r.type])
+    .map((reminder) => ({ reminder, at: reminderTime(reminder, today), message: reminderMessage(reminder, { ...ctx, today }) }))
+    .filter((p) => p.message && !isQuietTime(p.at, settings));
+}
+
+/* -------------------- Fired today -------------------- */
+export function firedToday(person, today = todayISO()) {
+  const all = safeJSONParse(getStorage().getItem(FIRED_KEY), {}) || {};
+  return all[person]?.date === today ? all[person].ids : [];
+}
+export function markFired(person, id, today = todayISO()) {
+  const all = safeJSONParse(getStorage().getItem(FIRED_KEY), {}) || {};
+  all[person] = { date: today, ids: [...firedToday(person, today), id] };
+  getStorage().setItem(FIRED_KEY, JSON.stringify(all));
+}
@@ -0,0 +1,106 @@
+// src/schedule.js
+// Recurring quests. A quest may carry a schedule saying when it's due and how many
+// completions each occurrence expects:
+//
+//   quest.schedule = { every: "daily"|"weekdays"|"weekly"|"monthly", day?, count, since }
+//
+// `day` is a weekday (0 = Sun … 6 = Sat) for weekly and a day of the month (1–28)
+// for monthly. "weekdays" follows the streak work days and holidays. `since` is the
+// date the schedule was set; nothing before it counts as missed. Completions count
+// towards an occurrence when they fall in its window: the due day itself for
+// daily/weekdays, the seven days up to it for weekly and the month up to it for monthly.
+
+import { todayISO, addDaysISO, parseISODate, defaultSettings } from "./game.js";
+
+export const SCHEDULE_KINDS = { daily: "Daily", weekdays: "Weekdays", weekly: "Weekly", monthly: "Monthly" };
+
+const MAX_LOOKAROUND_DAYS = 62; // longest gap between two due days, plus slack
+
+/** Whether the schedule has an occurrence due on `iso`. */
+export function isDueDay(schedule, iso, settings = defaultSettings) {
+  const d = parseISODate(iso);
+  switch (schedule.every) {
+    case "daily": return true;
+    case "weekdays":
+      return (settings.workDays || defaultSettings.workDays).includes(d.getDay()) && !(settings.holidays || []).includes(iso);
+    case "weekly": return d.getDay() === Number(schedule.day);
+    case "monthly": return d.getDate() === Number(schedule.day);
+    default: return false;
+  }
+}
+
+/** { start, end } (inclusive) of the occurrence due on `due`. */
+export function occurrenceWindow(schedule, due) {
+  if (schedule.every === "weekly") return { start: addDaysISO(due, -6), end: due };
+  if (schedule.every === "monthly") {
+    const d = parseISODate(due);
+    return { start: addDaysISO(todayISO(new Date(d.getFullYear(), d.getMonth() - 1, d.getDate())), 1), end: due };
+  }
+  return { start: due, end: due };
+}
+
+function findDue(schedule, iso, settings, step) {
+  for (let i = 0, d = iso; i <= MAX_LOOKAROUND_DAYS; i++, d = addDaysISO(d, step)) {
+    if (isDueDay(schedule, d, settings)) return d;
+  }
+  return null;
+}
+
+const completions = (questId, history, { start, end }) =>
+  history.filter((h) => h.questId === questId && h.date >= start && h.date <= end).length;
+
+const expectedCount = (schedule) => Math.max(1, Number(schedule.count) || 1);
+
+/**
+ * The "Today" checklist: one row per scheduled quest whose current occurrence is open
+ * today, as { quest, due, done, expected, status: "overdue"|"outstanding"|"done" }.
+ * A row is overdue when the previous occurrence was missed and this one isn't done yet.
+ */
+export function todayChecklist(quests, history, settings, today = todayISO()) {
+  const order = { overdue: 0, outstanding: 1, done: 2 };
+  const rows = [];
+  for (const quest of quests) {
+    const schedule = quest.schedule;
+    if (!schedule || !SCHEDULE_KINDS[schedule.every]) continue;
+    const due = findDue(schedule, today, settings, 1);
+    if (!due) continue;
+    const window = occurrenceWindow(schedule, due);
+    if (window.start > today) continue;
+
+    const expected = expectedCount(schedule);
+    const done = completions(quest.id, history, window);
+    const prevDue = findDue(schedule, addDaysISO(window.start, -1), settings, -1);
+    const missedPrev = !!prevDue && prevDue >= (schedule.since || prevDue)
+      && completions(quest.id, history, occurrenceWindow(schedule, prevDue)) < expected;
+
+    const status = done >= expected ? "done" : missedPrev ? "overdue" : "outstanding";
+    rows.push({ quest, due, done, expected, status });
+  }
+  return rows.sort((a, b) => order[a.status] - order[b.status] || (a.due < b.due ? -1 : a.due > b.due ? 1 : 0));
+}
+
+/** Occurrences due between start and end (inclusive) that didn't get their expected count. */
+export function missedOccurrences(quests, history, settings, start, end) {
+  const missed = [];
+  for (const quest of quests) {
+    const schedule = quest.schedule;
+    if (!schedule || !SCHEDULE_KINDS[schedule.every]) continue;
+    const expected = expectedCount(schedule);
+    for (let d = start > (schedule.since || start) ? start : schedule.since; d <= end; d = addDaysISO(d, 1)) {
+      if (!isDueDay(schedule, d, settings)) continue;
+      const done = completions(quest.id, history, occurrenceWindow(schedule, d));
+      if (done < expected) missed.push({ questId: quest.id, title: quest.title, due: d, done, expected });
+    }
+  }
+  return missed;
+}
+
+/** Short label like "Weekly on Fri ×2". */
+export function describeSchedule(schedule) {
+  if (!schedule || !SCHEDULE_KINDS[schedule.every]) return "";
+  const weekday = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"][Number(schedule.day)];
+  const when = schedule.every === "weekly" ? `Weekly on ${weekday}`
+    : schedule.every === "monthly" ? `Monthly on day ${schedule.day}`
+    : SCHEDULE_KINDS[schedule.every];
+  return expectedCount(schedule) > 1 ? `${when} ×${expectedCount(schedule)}` : when;
+}
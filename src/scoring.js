@@ -0,0 +1,117 @@
+// src/scoring.js
+// Scoring rules applied on top of a quest's base points when an entry is logged.
+// Rules live on the person state (state.scoringRules); the per-quest daily cap
+// lives on the quest itself (quest.dailyCap). Order of application:
+//   base → revenue tiers → time-window multipliers → diminishing returns → combo bonuses → daily cap
+//
+// Rule shapes (all have { id, type, label, enabled }):
+//   revenue      { match, tiers: [{ min, multiplier }] }  // entries with a deal value; highest tier reached
+//   window       { match, from: "HH:MM", to: "HH:MM", multiplier }
+//   diminishing  { match, after, factor }          // completions after N per day earn ×factor
+//   combo        { first, then, withinMinutes, bonus }  // quest ids; `then` within N min of `first`
+// `match` is { questId?, category? }; an empty match applies to every entry.
+
+import { uid } from "./game.js";
+
+export const RULE_TYPES = {
+  revenue: "Revenue tiers",
+  window: "Time window multiplier",
+  diminishing: "Diminishing returns",
+  combo: "Combo bonus",
+};
+
+export function makeRule(type) {
+  const base = { id: uid(), type, enabled: true };
+  if (type === "revenue") {
+    return {
+      ...base,
+      label: "Deal size",
+      match: { questId: "q-close-deal" },
+      tiers: [{ min: 0, multiplier: 0.5 }, { min: 5000, multiplier: 1 }, { min: 20000, multiplier: 2 }, { min: 50000, multiplier: 3 }],
+    };
+  }
+  if (type === "window") return { ...base, label: "Early bird", match: {}, from: "07:00", to: "10:00", multiplier: 1.5 };
+  if (type === "diminishing") return { ...base, label: "Diminishing returns", match: {}, after: 10, factor: 0.5 };
+  if (type === "combo") return { ...base, label: "Combo", first: "", then: "", withinMinutes: 120, bonus: 10 };
+  throw new Error(`Unknown rule type: ${type}`);
+}
+
+const matches = (match = {}, e) =>
+  (!match.questId || match.questId === e.questId) && (!match.category || match.category === e.category);
+
+const minutesOfDay = (ts) => { const d = new Date(ts); return d.getHours() * 60 + d.getMinutes(); };
+const hhmm = (s) => { const [h, m] = String(s || "0:0").split(":").map(Number); return (h || 0) * 60 + (m || 0); };
+
+/** [from, to) in local time; windows that wrap midnight (22:00–02:00) work too. */
+function inWindow(ts, from, to) {
+  const t = minutesOfDay(ts);
+  const a = hhmm(from);
+  const b = hhmm(to);
+  return a <= b ? t >= a && t < b : t >= a || t < b;
+}
+
+/** Multiplier of the highest tier whose `min` the value reaches (1 below every tier). */
+export function tierMultiplier(tiers = [], value) {
+  const reached = tiers.filter((t) => value >= (Number(t.min) || 0)).sort((a, b) => b.min - a.min)[0];
+  const m = Number(reached?.multiplier);
+  return Number.isFinite(m) ? m : 1;
+}
+
+/**
+ * Score one new entry against the day's history.
+ *   entry   { questId, category, date, timestamp, basePoints, dealValue? }
+ *   context { history, rules, quest }
+ * Returns { points, basePoints, rules: [{ id, label, delta, pairedWith? }] }.
+ */
+export function scoreEntry(entry, { history = [], rules = [], quest = null } = {}) {
+  const fired = [];
+  let points = Number(entry.basePoints) || 0;
+  const today = history.filter((h) => h.date === entry.date && h.timestamp <= entry.timestamp);
+  const apply = (rule, next, extra = {}) => {
+    const rounded = Math.round(next);
+    if (rounded !== points) fired.push({ id: rule.id, label: rule.label, delta: rounded - points, ...extra });
+    points = rounded;
+  };
+  const active = rules.filter((r) => r.enabled !== false);
+
+  const dealValue = Number(entry.dealValue);
+  if (entry.dealValue != null && entry.dealValue !== "" && Number.isFinite(dealValue)) {
+    for (const r of active.filter((r) => r.type === "revenue")) {
+      if (matches(r.match, entry)) apply(r, points * tierMultiplier(r.tiers, dealValue));
+    }
+  }
+
+  for (const r of active.filter((r) => r.type === "window")) {
+    if (matches(r.match, entry) && inWindow(entry.timestamp, r.from, r.to)) apply(r, points * (Number(r.multiplier) || 1));
+  }
+
+  for (const r of active.filter((r) => r.type === "diminishing")) {
+    if (!matches(r.match, entry)) continue;
+    const done = today.filter((h) => matches(r.match, h)).length;
+    const factor = Number(r.factor);
+    if (done >= (Number(r.after) || 0)) apply(r, points * (Number.isFinite(factor) ? factor : 1));
+  }
+
+  for (const r of active.filter((r) => r.type === "combo")) {
+    if (!r.first || !r.then || entry.questId !== r.then) continue;
+    const since = entry.timestamp - (Number(r.withinMinutes) || 0) * 60000;
+    // Each `first` completion can only pay out one combo.
+    const used = new Set(today.flatMap((h) => (h.rules || []).filter((x) => x.id === r.id).map((x) => x.pairedWith)));
+    const partner = [...today].reverse().find((h) => h.questId === r.first && h.timestamp >= since && !used.has(h.id));
+    if (partner) apply(r, points + (Number(r.bonus) || 0), { pairedWith: partner.id });
+  }
+
+  const cap = Number(quest?.dailyCap) || 0;
+  if (cap > 0 && entry.questId) {
+    const earned = today.filter((h) => h.questId === entry.questId).reduce((s, h) => s + (h.points || 0), 0);
+    const allowed = Math.max(0, cap - earned);
+    if (points > allowed) apply({ id: "daily-cap", label: `Daily cap (${cap})` }, allowed);
+  }
+
+  return { points, basePoints: Number(entry.basePoints) || 0, rules: fired };
+}
+
+/** "Early bird +3, Daily cap (50) −5" — used by History and exports. */
+export function describeRules(rules = []) {
+  return rules.map((r) => `${r.label} ${r.delta >= 0 ? "+" : "−"}${Math.abs(r.delta)}`).join(", ");
+}
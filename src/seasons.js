@@ -0,0 +1,162 @@
+// src/seasons.js
+// Seasons: the period XP and level count over before they start again. Length and
+// reset day are team settings shared by every profile on the device. A season is
+// identified by its first day ("YYYY-MM-DD"); each person state carries the bounds
+// of its current season (seasonStart / seasonEnd, both inclusive).
+//
+//   config:  { length: "week"|"2weeks"|"month"|"quarter", resetDay }
+//            resetDay is a weekday (0 = Sun … 6 = Sat) for week/2weeks and a day
+//            of the month (1–28) for month/quarter.
+//   archive: [{ start, end, length, archivedAt,
+//               standings: [{ name, team, rank, xp, level, points, entries,
+//                             missed: [{ questId, title, due, done, expected }] }] }]
+
+import { getStorage, STORAGE_PREFIX, loadProfiles, loadPersonState, savePersonState } from "./storage.js";
+import { safeJSONParse, parseISODate, addDaysISO, todayISO, recomputeProgress } from "./game.js";
+import { loadCatalog, questsFor } from "./catalog.js";
+import { missedOccurrences } from "./schedule.js";
+
+const SEASON_CONFIG_KEY = STORAGE_PREFIX + "season";
+const SEASON_ARCHIVE_KEY = STORAGE_PREFIX + "seasons";
+
+export const SEASON_LENGTHS = { week: "Week", "2weeks": "Two weeks", month: "Month", quarter: "Quarter" };
+export const DEFAULT_SEASON = { length: "week", resetDay: 1 }; // Monday, like the old weekly reset
+const TWO_WEEK_ANCHOR = "2024-01-01"; // fixes which weeks pair up into two-week seasons
+
+/* -------------------- Config / archive storage -------------------- */
+export function loadSeasonConfig() {
+  const c = safeJSONParse(getStorage().getItem(SEASON_CONFIG_KEY), null);
+  return c && SEASON_LENGTHS[c.length] ? { ...DEFAULT_SEASON, ...c } : DEFAULT_SEASON;
+}
+export function saveSeasonConfig(c) {
+  getStorage().setItem(SEASON_CONFIG_KEY, JSON.stringify(c));
+}
+export function loadSeasonArchive() {
+  const arr = safeJSONParse(getStorage().getItem(SEASON_ARCHIVE_KEY), []);
+  return Array.isArray(arr) ? arr : [];
+}
+function saveSeasonArchive(arr) {
+  getStorage().setItem(SEASON_ARCHIVE_KEY, JSON.stringify(arr));
+}
+
+/* -------------------- Season bounds -------------------- */
+const isMonthly = (c) => c.length === "month" || c.length === "quarter";
+const dayOfMonth = (c) => Math.min(28, Math.max(1, Number(c.resetDay) || 1));
+const weekday = (c) => ((Number(c.resetDay) % 7) + 7) % 7;
+
+// Month overflow is fine: new Date(2025, -1, 5) is 2024-12-05.
+const isoOf = (y, m, d) => todayISO(new Date(y, m, d));
+
+/** Last `weekday` on or before iso. */
+function weekdayOnOrBefore(iso, wd) {
+  const back = (parseISODate(iso).getDay() - wd + 7) % 7;
+  return addDaysISO(iso, -back);
+}
+
+/** First day of the season containing `iso`. */
+export function seasonStart(iso, c = loadSeasonConfig()) {
+  if (!isMonthly(c)) {
+    let start = weekdayOnOrBefore(iso, weekday(c));
+    if (c.length === "2weeks") {
+      const anchor = weekdayOnOrBefore(TWO_WEEK_ANCHOR, weekday(c));
+      const weeks = Math.round((parseISODate(start) - parseISODate(anchor)) / (7 * 86400000));
+      if (((weeks % 2) + 2) % 2 === 1) start = addDaysISO(start, -7);
+    }
+    return start;
+  }
+  const d = parseISODate(iso);
+  const step = c.length === "quarter" ? 3 : 1;
+  const month = d.getMonth() - (d.getMonth() % step);
+  const start = isoOf(d.getFullYear(), month, dayOfMonth(c));
+  return iso < start ? isoOf(d.getFullYear(), month - step, dayOfMonth(c)) : start;
+}
+
+/** Last day (inclusive) of the season that starts on `start`. */
+export function seasonEnd(start, c = loadSeasonConfig()) {
+  if (c.length === "week") return addDaysISO(start, 6);
+  if (c.length === "2weeks") return addDaysISO(start, 13);
+  const d = parseISODate(start);
+  return addDaysISO(isoOf(d.getFullYear(), d.getMonth() + (c.length === "quarter" ? 3 : 1), d.getDate()), -1);
+}
+
+/** { seasonStart, seasonEnd } of the season containing `iso`. */
+export function seasonBounds(iso = todayISO(), c = loadSeasonConfig()) {
+  const start = seasonStart(iso, c);
+  return { seasonStart: start, seasonEnd: seasonEnd(start, c) };
+}
+
+/* -------------------- Rollover + archive -------------------- */
+/** A profile's final standing for the season its state is in. */
+function finalStanding(name, s, team) {
+  const rows = s.history.filter((h) => h.date >= s.seasonStart && h.date <= s.seasonEnd);
+  return {
+    name,
+    team,
+    xp: s.xp,
+    level: s.level,
+    points: rows.reduce((sum, h) => sum + (h.points || 0), 0),
+    entries: rows.length,
+    missed: missedOccurrences(questsFor(loadCatalog(), s.quests), s.history, s.settings, s.seasonStart, s.seasonEnd),
+  };
+}
+
+/** Sort by XP (points break ties); equal results share a rank. */
+function rank(standings) {
+  const better = (a, b) => a.xp > b.xp || (a.xp === b.xp && a.points > b.points);
+  return standings
+    .map((r) => ({ ...r, rank: 1 + standings.filter((o) => better(o, r)).length }))
+    .sort((a, b) => a.rank - b.rank);
+}
+
+/**
+ * Move every profile whose season has ended into the current one, archiving its
+ * final standing first. Profiles without season bounds yet just get the current
+ * season. `teamOf(name)` labels standings with a team. Returns the names changed.
+ */
+export function rolloverSeasons({ today = todayISO(), config = loadSeasonConfig(), teamOf = () => "" } = {}) {
+  const current = seasonBounds(today, config);
+  const archive = loadSeasonArchive();
+  const changed = [];
+
+  for (const name of loadProfiles()) {
+    const s = recomputeProgress(loadPersonState(name));
+    if (s.seasonStart === current.seasonStart && s.seasonEnd === current.seasonEnd) continue;
+    if (s.seasonStart && s.seasonEnd < today) {
+      let season = archive.find((a) => a.start === s.seasonStart);
+      if (!season) {
+        season = { start: s.seasonStart, end: s.seasonEnd, length: config.length, archivedAt: Date.now(), standings: [] };
+        archive.push(season);
+      }
+      season.standings = rank([...season.standings.filter((r) => r.name !== name), finalStanding(name, s, teamOf(name))]);
+    }
+    savePersonState(name, recomputeProgress({ ...s, ...current, resetAt: null }));
+    changed.push(name);
+  }
+
+  if (changed.length) saveSeasonArchive(archive.sort((a, b) => (a.start < b.start ? 1 : -1)));
+  return changed;
+}
+
+/** Give every profile the bounds of the current season under a new config (no archiving). */
+export function applySeasonConfig(config, today = todayISO()) {
+  saveSeasonConfig(config);
+  const current = seasonBounds(today, config);
+  for (const name of loadProfiles()) {
+    const s = loadPersonState(name);
+    savePersonState(name, recomputeProgress({ ...s, ...current }));
+  }
+}
+
+/** Personal bests across archived seasons: { seasons, bestXP, bestLevel, bestPoints, bestRank }. */
+export function personalBests(archive, name) {
+  const mine = archive.flatMap((a) => a.standings.filter((r) => r.name === name).map((r) => ({ ...r, start: a.start })));
+  if (!mine.length) return null;
+  const best = (key, better) => mine.reduce((b, r) => (better(r[key], b[key]) ? r : b));
+  return {
+    seasons: mine.length,
+    bestXP: best("xp", (a, b) => a > b),
+    bestLevel: best("level", (a, b) => a > b),
+    bestPoints: best("points", (a, b) => a > b),
+    bestRank: best("rank", (a, b) => a < b),
+  };
+}
@@ -0,0 +1,324 @@
+// src/storage.js
+// Storage layer: a small key/value adapter interface plus the profile/person
+// persistence built on it. Every adapter exposes the same synchronous surface
+// (backed by an in-memory cache) so React can read state during render:
+//
+//   { kind, init(): Promise<void>, getItem(key), setItem(key, value), removeItem(key), keys(), flush?(): Promise<void> }
+//
+// Values are strings (JSON), exactly like localStorage. Writes that fail in the background
+// (IndexedDB quota, private mode) are reported to onStorageError() listeners.
+
+import { safeJSONParse, parseISODate, addDaysISO, defaultQuests, defaultSettings } from "./game.js";
+import { makeIdleTimer } from "./timer.js";
+
+export const STORAGE_VERSION = 6;
+export const STORAGE_PREFIX = "sm-productivity-game:v2:";
+export const PROFILES_KEY = STORAGE_PREFIX + "profiles"; // string[]
+
+// Device-level choice of backend. Lives in localStorage itself because it is read before init.
+const BACKEND_PREF_KEY = "sm-productivity-game:storage-backend";
+export const STORAGE_KINDS = ["local", "indexeddb", "memory"];
+
+/* -------------------- Write failures -------------------- */
+const errorListeners = new Set();
+
+/** Be told when a background write fails. Returns an unsubscribe function. */
+export function onStorageError(fn) {
+  errorListeners.add(fn);
+  return () => errorListeners.delete(fn);
+}
+function reportStorageError(err) {
+  console.warn("Storage write failed:", err);
+  errorListeners.forEach((fn) => fn(err));
+}
+
+/* -------------------- Adapters -------------------- */
+export function createMemoryAdapter(seed = {}) {
+  const cache = new Map(Object.entries(seed));
+  return {
+    kind: "memory",
+    async init() {},
+    getItem: (key) => (cache.has(key) ? cache.get(key) : null),
+    setItem: (key, value) => { cache.set(key, String(value)); },
+    removeItem: (key) => { cache.delete(key); },
+    keys: () => [...cache.keys()],
+  };
+}
+
+export function createLocalStorageAdapter() {
+  return {
+    kind: "local",
+    async init() {},
+    getItem: (key) => localStorage.getItem(key),
+    setItem: (key, value) => { localStorage.setItem(key, String(value)); },
+    removeItem: (key) => { localStorage.removeItem(key); },
+    keys: () => Array.from({ length: localStorage.length }, (_, i) => localStorage.key(i)),
+  };
+}
+
+/** IndexedDB-backed adapter. Reads come from a cache filled by init(); writes go to the DB in the background. */
+export function createIndexedDBAdapter({ dbName = "sm-productivity-game", storeName = "kv" } = {}) {
+  const cache = new Map();
+  const pending = new Set(); // completion promises of in-flight write transactions
+  let db = null;
+
+  const request = (req) => new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+
+  function open() {
+    const req = indexedDB.open(dbName, 1);
+    req.onupgradeneeded = () => { req.result.createObjectStore(storeName); };
+    return request(req);
+  }
+
+  function write(fn) {
+    if (!db) return;
+    try {
+      const tx = db.transaction(storeName, "readwrite");
+      fn(tx.objectStore(storeName));
+      // A failed request or a quota error aborts the transaction
+      const done = new Promise((resolve) => {
+        tx.oncomplete = resolve;
+        tx.onabort = () => { reportStorageError(tx.error); resolve(); };
+      });
+      pending.add(done);
+      done.then(() => pending.delete(done));
+    } catch (err) {
+      reportStorageError(err);
+    }
+  }
+
+  return {
+    kind: "indexeddb",
+    async init() {
+      db = await open();
+      const store = db.transaction(storeName, "readonly").objectStore(storeName);
+      const [keys, values] = await Promise.all([request(store.getAllKeys()), request(store.getAll())]);
+      keys.forEach((k, i) => cache.set(String(k), values[i]));
+
+      // First run on this backend: carry over anything saved by the localStorage version.
+      if (cache.size === 0) {
+        for (let i = 0; i < localStorage.length; i++) {
+          const key = localStorage.key(i);
+          if (key && key.startsWith(STORAGE_PREFIX)) this.setItem(key, localStorage.getItem(key));
+        }
+      }
+    },
+    getItem: (key) => (cache.has(key) ? cache.get(key) : null),
+    setItem(key, value) {
+      cache.set(key, String(value));
+      write((store) => store.put(String(value), key));
+    },
+    removeItem(key) {
+      cache.delete(key);
+      write((store) => store.delete(key));
+    },
+    keys: () => [...cache.keys()],
+    /** Resolves once every write so far has landed (or failed). */
+    flush: () => Promise.all([...pending]).then(() => {}),
+  };
+}
+
+const ADAPTER_FACTORIES = {
+  local: createLocalStorageAdapter,
+  indexeddb: createIndexedDBAdapter,
+  memory: createMemoryAdapter,
+};
+
+/* -------------------- Active adapter -------------------- */
+let active = null;
+const stateCache = new Map(); // person -> { raw, state } so repeat loads skip JSON.parse
+
+/** Which backend to use: ?storage= URL param, then the device preference, then VITE_STORAGE_BACKEND. */
+export function resolveStorageKind() {
+  let kind = null;
+  try { kind = new URLSearchParams(window.location.search).get("storage"); } catch {}
+  if (!STORAGE_KINDS.includes(kind)) kind = localStorage.getItem(BACKEND_PREF_KEY);
+  if (!STORAGE_KINDS.includes(kind)) kind = import.meta.env.VITE_STORAGE_BACKEND;
+  if (!STORAGE_KINDS.includes(kind)) kind = typeof indexedDB !== "undefined" ? "indexeddb" : "local";
+  return kind;
+}
+
+/** Remember the backend for next startup (takes effect after reload). */
+export function setStorageKindPreference(kind) {
+  if (STORAGE_KINDS.includes(kind)) localStorage.setItem(BACKEND_PREF_KEY, kind);
+}
+
+/**
+ * Make `kind` the backend for next startup, copying this app's data into it first
+ * (replacing whatever it held) so nothing saved since an earlier switch is left behind.
+ * Nothing is copied into "memory" (it starts empty on every launch) or out of it (a
+ * throwaway session must not overwrite saved data). Throws if the copy fails.
+ */
+export async function switchStorage(kind) {
+  if (!STORAGE_KINDS.includes(kind)) throw new Error(`Unknown storage backend "${kind}".`);
+  const source = getStorage();
+  if (kind !== "memory" && source.kind !== "memory" && kind !== source.kind) {
+    const target = ADAPTER_FACTORIES[kind]();
+    await target.init();
+    let failed = null;
+    const off = onStorageError((err) => { failed = err; });
+    try {
+      const ours = (adapter) => adapter.keys().filter((k) => k.startsWith(STORAGE_PREFIX));
+      for (const key of ours(target)) target.removeItem(key);
+      for (const key of ours(source)) target.setItem(key, source.getItem(key));
+      await target.flush?.();
+    } catch (err) {
+      failed = err;
+    } finally {
+      off();
+    }
+    if (failed) throw new Error(`Could not copy your data to "${kind}": ${failed?.message || failed}`);
+  }
+  setStorageKindPreference(kind);
+}
+
+/**
+ * Pick and initialise the adapter. Accepts a kind name or a ready-made adapter
+ * (handy for tests). Falls back to localStorage if IndexedDB cannot open.
+ */
+export async function initStorage(kindOrAdapter = resolveStorageKind()) {
+  stateCache.clear();
+  let adapter = typeof kindOrAdapter === "string"
+    ? (ADAPTER_FACTORIES[kindOrAdapter] || createLocalStorageAdapter)()
+    : kindOrAdapter;
+  try {
+    await adapter.init();
+  } catch (err) {
+    console.warn(`Storage backend "${adapter.kind}" unavailable, using localStorage:`, err);
+    adapter = createLocalStorageAdapter();
+    await adapter.init();
+  }
+  active = adapter;
+  return adapter;
+}
+
+/** The active adapter. Defaults to localStorage if initStorage() was never awaited. */
+export function getStorage() {
+  if (!active) active = createLocalStorageAdapter();
+  return active;
+}
+
+/* -------------------- Fresh person state -------------------- */
+export const makeFreshState = (name = "") => ({
+  __version: STORAGE_VERSION,
+  name,
+  seasonStart: null, // current season bounds (inclusive ISO dates); set by seasons.js
+  seasonEnd: null,
+  settings: { ...defaultSettings },
+  quests: [], // rep-specific quests; shared ones come from the team catalog (catalog.js)
+  history: [], // {id,date,questId,title,category,points,basePoints,rules,emoji,timestamp,focus?,catalogVersion?}
+  scoringRules: [], // see scoring.js
+  goals: [], // weekly/monthly/per-quest targets on top of settings.dailyGoal; see goals.js
+  timer: makeIdleTimer(), // see timer.js; absolute end time so it survives reloads
+  focusLog: [], // finished work blocks: {id,date,questId,minutes,finishedAt}
+  badgesEarned: null, // { [badgeId]: timestamp }; null until first evaluated (then backfilled silently)
+  resetAt: null, // timestamp of the last manual reset this season (XP only counts entries after it)
+  xp: 0,
+  level: 1,
+  streak: 0,
+  longestStreak: 0,
+  freezeTokens: 0, // see computeStreak in game.js; all streak fields are rebuilt from history
+  frozenDates: [],
+  lastGoalDate: null,
+});
+
+/* -------------------- Profiles / person state (multi-user) -------------------- */
+export function loadProfiles() {
+  const arr = safeJSONParse(getStorage().getItem(PROFILES_KEY), []);
+  return Array.isArray(arr) ? arr : [];
+}
+export function saveProfiles(arr) {
+  getStorage().setItem(PROFILES_KEY, JSON.stringify(arr));
+}
+export function personKey(person) {
+  return STORAGE_PREFIX + "person:" + person;
+}
+export function hasPersonState(person) {
+  return getStorage().getItem(personKey(person)) != null;
+}
+/**
+ * v3 → v4: default quests used to get random ids per session. Give quests that
+ * still carry a default title the stable default id, and follow the rename in
+ * history and scoring rules.
+ */
+function remapLegacyQuestIds(parsed) {
+  if ((parsed.__version || 0) >= 4 || !Array.isArray(parsed.quests)) return parsed;
+  const byTitle = new Map(defaultQuests.map(q => [q.title.toLowerCase(), q.id]));
+  const taken = new Set(parsed.quests.map(q => q.id));
+  const remap = {};
+  const quests = parsed.quests.map(q => {
+    const stable = byTitle.get(String(q.title || "").toLowerCase());
+    if (!stable || stable === q.id || taken.has(stable)) return q;
+    taken.add(stable);
+    remap[q.id] = stable;
+    return { ...q, id: stable };
+  });
+  if (!Object.keys(remap).length) return parsed;
+  const id = (x) => remap[x] || x;
+  return {
+    ...parsed,
+    quests,
+    history: (parsed.history || []).map(h => (remap[h.questId] ? { ...h, questId: id(h.questId) } : h)),
+    scoringRules: (parsed.scoringRules || []).map(r => ({
+      ...r,
+      ...(r.match ? { match: { ...r.match, questId: id(r.match.questId) } } : {}),
+      ...(r.first ? { first: id(r.first), then: id(r.then) } : {}),
+    })),
+  };
+}
+
+/**
+ * v4 → v5: the default quests moved into the shared team catalog, so drop the
+ * per-profile copies and keep only quests the rep created.
+ */
+function splitOutCatalogQuests(parsed) {
+  if ((parsed.__version || 0) >= 5 || !Array.isArray(parsed.quests)) return parsed;
+  const shared = new Set(defaultQuests.map(q => q.id));
+  return { ...parsed, quests: parsed.quests.filter(q => !shared.has(q.id)) };
+}
+
+/** v5 → v6: weekKey ("2025-W09") became season bounds; the default season is the same Mon–Sun week. */
+function weekKeyToSeason(parsed) {
+  if ((parsed.__version || 0) >= 6 || parsed.seasonStart) return parsed;
+  const { weekKey, ...rest } = parsed;
+  const m = /^(\d{4})-W(\d{2})$/.exec(weekKey || "");
+  if (!m) return rest;
+  const jan4 = parseISODate(`${m[1]}-01-04`);
+  const week1Monday = addDaysISO(`${m[1]}-01-04`, -((jan4.getDay() + 6) % 7));
+  const seasonStart = addDaysISO(week1Monday, (Number(m[2]) - 1) * 7);
+  return { ...rest, seasonStart, seasonEnd: addDaysISO(seasonStart, 6) };
+}
+
+export function migrateState(parsed, person) {
+  parsed = weekKeyToSeason(splitOutCatalogQuests(remapLegacyQuestIds(parsed)));
+  const base = makeFreshState(person);
+  const settings = { ...defaultSettings, ...(parsed.settings || {}) };
+  const quests = (Array.isArray(parsed.quests) ? parsed.quests : []).map(q => ({ emoji: "🎯", ...q }));
+  return {
+    ...base,
+    ...parsed,
+    __version: STORAGE_VERSION,
+    name: person,
+    settings,
+    quests,
+  };
+}
+export function loadPersonState(person) {
+  if (!person) return makeFreshState("");
+  const raw = getStorage().getItem(personKey(person));
+  if (!raw) return makeFreshState(person);
+  const cached = stateCache.get(person);
+  if (cached && cached.raw === raw) return cached.state;
+  const parsed = safeJSONParse(raw, null);
+  if (!parsed) return makeFreshState(person);
+  const state = migrateState(parsed, person);
+  stateCache.set(person, { raw, state });
+  return state;
+}
+export function savePersonState(person, state) {
+  if (!person) return;
+  getStorage().setItem(personKey(person), JSON.stringify({ ...state, __version: STORAGE_VERSION }));
+}
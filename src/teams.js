@@ -0,0 +1,86 @@
+// src/teams.js
+// Teams and the manager role, shared by every profile on the device.
+//   teams:   { teams: [{ id, name }], members: { [person]: teamId } }
+//   manager: { salt, pinHash } — SHA-256 of salt + PIN; absent until a PIN is set
+// Without a PIN everyone acts as manager, which is how single-user devices keep working.
+
+import { getStorage, STORAGE_PREFIX } from "./storage.js";
+import { safeJSONParse, uid } from "./game.js";
+
+const TEAMS_KEY = STORAGE_PREFIX + "teams";
+const MANAGER_KEY = STORAGE_PREFIX + "manager";
+
+export const NO_TEAM = "No team";
+
+/* -------------------- Teams -------------------- */
+export function loadTeams() {
+  const t = safeJSONParse(getStorage().getItem(TEAMS_KEY), null);
+  return {
+    teams: Array.isArray(t?.teams) ? t.teams : [],
+    members: t?.members && typeof t.members === "object" ? t.members : {},
+  };
+}
+export function saveTeams(t) {
+  getStorage().setItem(TEAMS_KEY, JSON.stringify(t));
+}
+
+export const addTeam = (t, name) => ({ ...t, teams: [...t.teams, { id: "team-" + uid(), name }] });
+
+export const renameTeam = (t, id, name) => ({ ...t, teams: t.teams.map((x) => (x.id === id ? { ...x, name } : x)) });
+
+export function removeTeam(t, id) {
+  const members = Object.fromEntries(Object.entries(t.members).filter(([, teamId]) => teamId !== id));
+  return { teams: t.teams.filter((x) => x.id !== id), members };
+}
+
+/** Put a person on a team (null/"" takes them off every team). */
+export function assignPerson(t, person, teamId) {
+  const members = { ...t.members };
+  if (teamId) members[person] = teamId;
+  else delete members[person];
+  return { ...t, members };
+}
+
+/** Name of the person's team, or "" when they have none. */
+export function teamOf(t, person) {
+  return t.teams.find((x) => x.id === t.members[person])?.name || "";
+}
+
+/** Sum per-person rows ({ name, points, pending? }) into per-team rows, best first. */
+export function teamTotals(rows, t) {
+  const out = {};
+  for (const r of rows) {
+    const name = teamOf(t, r.name) || NO_TEAM;
+    const g = (out[name] = out[name] || { name, points: 0, pending: 0, members: [] });
+    g.points += r.points || 0;
+    g.pending += r.pending || 0;
+    g.members.push(r.name);
+  }
+  return Object.values(out).sort((a, b) => b.points - a.points);
+}
+
+/* -------------------- Manager PIN -------------------- */
+async function sha256(text) {
+  if (!globalThis.crypto?.subtle) throw new Error("Setting a PIN needs a secure (https) connection.");
+  const buf = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(buf), (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+export function hasManagerPin() {
+  return !!safeJSONParse(getStorage().getItem(MANAGER_KEY), null)?.pinHash;
+}
+
+export async function setManagerPin(pin) {
+  const salt = uid() + uid();
+  getStorage().setItem(MANAGER_KEY, JSON.stringify({ salt, pinHash: await sha256(salt + pin) }));
+}
+
+export async function verifyManagerPin(pin) {
+  const m = safeJSONParse(getStorage().getItem(MANAGER_KEY), null);
+  if (!m?.pinHash) return true;
+  return (await sha256(m.salt + pin)) === m.pinHash;
+}
+
+export function clearManagerPin() {
+  getStorage().removeItem(MANAGER_KEY);
+}
@@ -0,0 +1,103 @@
+// src/timer.js
+// Focus timer state, stored on the person (state.timer) so it survives reloads.
+// The timer never counts ticks: while running it only knows its absolute end
+// time, so throttled or suspended tabs catch up the moment they look again.
+//
+//   { mode: "work"|"short"|"long", running, endsAt, remainingMs, finishedAt, pendingLog, queuedLogs, cycleCount, focusQuestId }
+//   - running:    endsAt is set, remainingMs is null
+//   - paused:     remainingMs is set (null = full length of the mode)
+//   - finished:   finishedAt is set; pendingLog ({ mode, questId, minutes, finishedAt }) keeps the
+//                 "Log points" prompt up until answered, even if auto-cycle already moved on
+//   - queuedLogs: blocks that finished while that prompt was still up (auto-start); each gets
+//                 its own prompt in turn, so an unanswered one is never overwritten
+//   - cycleCount: work blocks finished in the current pomodoro cycle (long break after every N)
+
+export const TIMER_MODES = ["work", "short", "long"];
+
+export const makeIdleTimer = (mode = "work", keep = {}) => ({
+  mode,
+  running: false,
+  endsAt: null,
+  remainingMs: null,
+  finishedAt: null,
+  pendingLog: null,
+  queuedLogs: [],
+  cycleCount: keep.cycleCount || 0,
+  focusQuestId: keep.focusQuestId || null,
+});
+
+export function modeMinutes(settings, mode) {
+  if (mode === "short") return settings.shortBreakMinutes;
+  if (mode === "long") return settings.longBreakMinutes;
+  return settings.pomodoroMinutes;
+}
+
+export const modeDurationMs = (settings, mode) => Math.max(0, Number(modeMinutes(settings, mode)) || 0) * 60000;
+
+/** Milliseconds left at `now`. */
+export function remainingMs(timer, settings, now = Date.now()) {
+  if (timer.running) return Math.max(0, timer.endsAt - now);
+  if (timer.remainingMs != null) return Math.max(0, timer.remainingMs);
+  return timer.finishedAt ? 0 : modeDurationMs(settings, timer.mode);
+}
+
+export function startTimer(timer, settings, now = Date.now()) {
+  const left = remainingMs({ ...timer, finishedAt: null }, settings, now);
+  return { ...timer, running: true, endsAt: now + left, remainingMs: null, finishedAt: null };
+}
+
+export function pauseTimer(timer, settings, now = Date.now()) {
+  if (!timer.running) return timer;
+  return { ...timer, running: false, endsAt: null, remainingMs: remainingMs(timer, settings, now) };
+}
+
+/** Back to a full block. Keeps the cycle position and linked quest. */
+export const resetTimer = (timer, mode = timer.mode) => makeIdleTimer(mode, timer);
+
+/** Phase that follows `mode` in a pomodoro cycle, given work blocks finished so far (including this one). */
+export function nextMode(mode, cycleCount, longBreakEvery) {
+  if (mode !== "work") return "work";
+  const every = Math.max(1, Number(longBreakEvery) || 4);
+  return cycleCount > 0 && cycleCount % every === 0 ? "long" : "short";
+}
+
+/** The log ({ mode, questId, minutes, finishedAt }) for the block a running timer is on. */
+export const blockLog = (timer, settings) => ({
+  mode: timer.mode,
+  questId: timer.mode === "work" ? timer.focusQuestId : null,
+  minutes: Number(modeMinutes(settings, timer.mode)) || 0,
+  finishedAt: timer.endsAt,
+});
+
+/**
+ * If a running timer has passed its end, return the finished timer; otherwise null.
+ * With settings.autoCycle the result is already the next phase (started at `now`
+ * when settings.autoStartNext), carrying pendingLog for the block that ended, or
+ * queueing it behind an earlier one that is still unanswered.
+ */
+export function checkExpiry(timer, settings, now = Date.now()) {
+  if (!timer.running || now < timer.endsAt) return null;
+  const log = blockLog(timer, settings);
+  const logs = timer.pendingLog
+    ? { pendingLog: timer.pendingLog, queuedLogs: [...(timer.queuedLogs || []), log] }
+    : { pendingLog: log, queuedLogs: [] };
+  const cycleCount = timer.mode === "work" ? (timer.cycleCount || 0) + 1 : timer.cycleCount || 0;
+  const finished = { ...timer, running: false, endsAt: null, remainingMs: 0, finishedAt: timer.endsAt, ...logs, cycleCount };
+  if (!settings.autoCycle) return finished;
+
+  // A long break closes the cycle; the next work block starts counting from 1 again.
+  const mode = nextMode(timer.mode, cycleCount, settings.longBreakEvery);
+  const next = { ...makeIdleTimer(mode, { ...timer, cycleCount: timer.mode === "long" ? 0 : cycleCount }), ...logs };
+  return settings.autoStartNext ? startTimer(next, settings, now) : next;
+}
+
+/**
+ * Close the "Log points" prompt: the next queued block gets its prompt, otherwise a
+ * finished manual block resets and an auto-cycled one keeps going.
+ */
+export function dismissPending(timer) {
+  const [next, ...rest] = timer.queuedLogs || [];
+  if (next) return { ...timer, pendingLog: next, queuedLogs: rest };
+  if (!timer.running && timer.remainingMs === 0) return resetTimer({ ...timer, pendingLog: null });
+  return { ...timer, pendingLog: null };
+}